@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { AdminApiKey, AuditLog } = require('./db-setup');
+
+// Roles in increasing order of access
+const ROLES = ['viewer', 'editor', 'owner'];
+
+// Owner key configured in the environment, used to create the first API keys
+const ENV_ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+function hasRole(admin, role) {
+  return ROLES.indexOf(admin.role) >= ROLES.indexOf(role);
+}
+
+// Function to create an API key; the plain key is only returned here
+async function createApiKey(name, role) {
+  const apiKey = `kb_${crypto.randomBytes(24).toString('hex')}`;
+  const record = await AdminApiKey.create({
+    name,
+    role,
+    keyHash: hashApiKey(apiKey),
+    keyPrefix: apiKey.slice(0, 10)
+  });
+  return { apiKey, record };
+}
+
+// Function to format an API key for the admin API (never includes the key itself)
+function formatApiKey(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    role: record.role,
+    keyPrefix: record.keyPrefix,
+    lastUsedAt: record.lastUsedAt,
+    revokedAt: record.revokedAt,
+    createdAt: record.createdAt
+  };
+}
+
+function readApiKey(req) {
+  const authorization = req.get('authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+// Function to find the admin an API key belongs to, or null for unknown and revoked keys
+async function findAdmin(apiKey) {
+  const keyHash = hashApiKey(apiKey);
+  if (ENV_ADMIN_API_KEY && crypto.timingSafeEqual(Buffer.from(keyHash), Buffer.from(hashApiKey(ENV_ADMIN_API_KEY)))) {
+    return { id: null, name: 'ADMIN_API_KEY', role: 'owner' };
+  }
+
+  const record = await AdminApiKey.findOne({ where: { keyHash, revokedAt: null } });
+  if (!record) return null;
+
+  // Only note the last use once a minute to avoid a write per request
+  if (!record.lastUsedAt || Date.now() - record.lastUsedAt.getTime() > 60000) {
+    record.update({ lastUsedAt: new Date() }).catch(error => {
+      console.error('Error updating API key usage:', error);
+    });
+  }
+  return { id: record.id, name: record.name, role: record.role };
+}
+
+// Middleware requiring a valid API key (Authorization: Bearer <key> or X-API-Key)
+async function authenticateAdmin(req, res, next) {
+  try {
+    const apiKey = readApiKey(req);
+    const admin = apiKey ? await findAdmin(apiKey) : null;
+    if (!admin) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.admin = admin;
+    next();
+  } catch (error) {
+    console.error('Error authenticating admin:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// Socket.IO middleware requiring an API key in the handshake (auth.apiKey)
+async function authenticateSocket(socket, next) {
+  try {
+    const apiKey = socket.handshake.auth?.apiKey;
+    const admin = apiKey ? await findAdmin(apiKey) : null;
+    if (!admin) {
+      return next(new Error('Authentication required'));
+    }
+    socket.data.admin = admin;
+    next();
+  } catch (error) {
+    console.error('Error authenticating admin socket:', error);
+    next(new Error('Server error'));
+  }
+}
+
+// Middleware factory requiring at least the given role
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.admin || !hasRole(req.admin, role)) {
+      return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+// Socket.IO middleware factory requiring at least the given role, used after authenticateSocket
+function requireSocketRole(role) {
+  return (socket, next) => {
+    if (!socket.data.admin || !hasRole(socket.data.admin, role)) {
+      return next(new Error(`Requires the ${role} role`));
+    }
+    next();
+  };
+}
+
+// Middleware letting viewers read and requiring editors for every change
+function authorizeByMethod(req, res, next) {
+  const role = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'viewer' : 'editor';
+  return requireRole(role)(req, res, next);
+}
+
+// Request body properties that are never written to the audit log
+const SECRET_PROPERTIES = ['secret', 'authToken', 'apiKey', 'password'];
+// Properties whose names are logged but whose values are not (e.g. a webhook's Authorization header)
+const SECRET_MAP_PROPERTIES = ['headers'];
+
+function redactSecrets(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+    if (SECRET_PROPERTIES.includes(key) && item) {
+      return [key, '[redacted]'];
+    }
+    if (SECRET_MAP_PROPERTIES.includes(key) && item && typeof item === 'object' && !Array.isArray(item)) {
+      return [key, Object.fromEntries(Object.keys(item).map(name => [name, '[redacted]']))];
+    }
+    return [key, redactSecrets(item)];
+  }));
+}
+
+// Middleware recording successful changes in the audit log once the response is sent
+function auditChanges(req, res, next) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return next();
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode >= 400) return;
+
+    const changes = redactSecrets({ ...(req.body || {}) });
+    if (req.file) {
+      changes.file = req.file.originalname;
+    }
+    AuditLog.create({
+      actor: req.admin.name,
+      apiKeyId: req.admin.id,
+      role: req.admin.role,
+      botId: req.bot ? req.bot.id : null,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      changes: Object.keys(changes).length ? changes : null
+    }).catch(error => {
+      console.error('Error writing audit log:', error);
+    });
+  });
+  next();
+}
+
+module.exports = {
+  ROLES,
+  createApiKey,
+  formatApiKey,
+  authenticateAdmin,
+  authenticateSocket,
+  requireRole,
+  requireSocketRole,
+  authorizeByMethod,
+  auditChanges
+};
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { ChatSession, Bot, Message, ChatVariable, LeadExport } = require('./db-setup');
+
+const SESSION_IDLE_TIMEOUT = parseInt(process.env.SESSION_IDLE_TIMEOUT_MS, 10) || 30 * 60 * 1000;
+// Closed sessions are kept this many days before they are purged (0 keeps them forever)
+const ARCHIVE_RETENTION_DAYS = process.env.SESSION_ARCHIVE_RETENTION_DAYS !== undefined
+  ? parseInt(process.env.SESSION_ARCHIVE_RETENTION_DAYS, 10) || 0
+  : 90;
+
+// Without a configured secret, tokens only stay valid until the server restarts
+const SESSION_TOKEN_SECRET = process.env.SESSION_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_TOKEN_SECRET) {
+  console.warn('SESSION_TOKEN_SECRET is not set; chat sessions cannot be resumed after a restart');
+}
+
+// Function to sign a token the client presents to resume its session
+function issueSessionToken(session) {
+  return jwt.sign(
+    { sessionId: session.sessionId, botId: session.botId },
+    SESSION_TOKEN_SECRET,
+    { algorithm: 'HS256' }
+  );
+}
+
+// Function to create a chat session for a bot on a channel (null when the client sends none)
+async function createChatSession(bot, channel = null) {
+  return ChatSession.create({
+    sessionId: crypto.randomUUID(),
+    botId: bot.id,
+    channel,
+    lastActivityAt: new Date()
+  });
+}
+
+function isIdle(session) {
+  return Date.now() - session.lastActivityAt.getTime() >= SESSION_IDLE_TIMEOUT;
+}
+
+// Function to read a session token; returns its { sessionId, botId }, or null if it is invalid
+function verifySessionToken(token) {
+  try {
+    const payload = jwt.verify(token, SESSION_TOKEN_SECRET, { algorithms: ['HS256'] });
+    return { sessionId: payload.sessionId, botId: payload.botId };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to find the session a token was issued for.
+// Returns null for invalid tokens, tokens of another bot and sessions that have ended or expired.
+async function resumeChatSession(token, bot) {
+  const payload = verifySessionToken(token);
+  if (!payload || payload.botId !== bot.id) {
+    return null;
+  }
+
+  const session = await ChatSession.findByPk(payload.sessionId);
+  if (!session || session.botId !== bot.id || session.status !== 'active' || isIdle(session)) {
+    return null;
+  }
+
+  await touchSession(session.sessionId);
+  return session;
+}
+
+// Function to record activity so the session is not closed as idle
+async function touchSession(sessionId) {
+  await ChatSession.update({ lastActivityAt: new Date() }, { where: { sessionId } });
+}
+
+// Function to get the bot a chat session belongs to
+async function getSessionBot(sessionId) {
+  const session = await ChatSession.findByPk(sessionId, { include: [Bot] });
+  return session ? session.Bot : null;
+}
+
+// Function to format a message in the shape sent to clients
+function formatMessage(message) {
+  return {
+    id: message.id,
+    role: message.role,
+    content: message.content,
+    agentName: message.agentName,
+    timestamp: message.timestamp
+  };
+}
+
+// Function to get a session's messages in the shape sent to clients
+async function getSessionHistory(sessionId) {
+  const messages = await Message.findAll({
+    where: { sessionId },
+    order: [['timestamp', 'ASC']]
+  });
+  return messages.map(formatMessage);
+}
+
+// Function to list active sessions, most recently active first, optionally for one bot
+async function listActiveSessions(botId = null, limit = 100) {
+  const where = { status: 'active' };
+  if (botId) {
+    where.botId = botId;
+  }
+  return ChatSession.findAll({
+    where,
+    include: [{ model: Bot, attributes: ['key', 'name'] }],
+    order: [['lastActivityAt', 'DESC']],
+    limit
+  });
+}
+
+// Function to hand an active session to a human agent, pausing the bot.
+// Returns { session } or { error } if the session has ended or another agent has it.
+async function takeOverSession(sessionId, agent) {
+  const session = await ChatSession.findByPk(sessionId, { include: [Bot] });
+  if (!session || session.status !== 'active') {
+    return { error: 'Session is not active' };
+  }
+  if (session.takenOverAt && (session.agentId !== agent.id || session.agentName !== agent.name)) {
+    return { error: `Session is already handled by ${session.agentName}` };
+  }
+
+  if (!session.takenOverAt) {
+    session.takenOverAt = new Date();
+    session.agentId = agent.id;
+    session.agentName = agent.name;
+    await session.save();
+  }
+  return { session };
+}
+
+// Function to give a session back to the bot; with an agent, only if that agent has taken it over
+async function handBackSession(sessionId, agent = null) {
+  const session = await ChatSession.findByPk(sessionId, { include: [Bot] });
+  if (!session || !session.takenOverAt) {
+    return null;
+  }
+  if (agent && (session.agentId !== agent.id || session.agentName !== agent.name)) {
+    return null;
+  }
+  session.takenOverAt = null;
+  session.agentId = null;
+  session.agentName = null;
+  await session.save();
+  return session;
+}
+
+// Function to record that a session's lead has been queued for export
+async function markLeadExported(sessionId) {
+  await ChatSession.update({ leadExportedAt: new Date() }, { where: { sessionId } });
+}
+
+// Function to find sessions idle for longer than the timeout, skipping the given connected sessions
+async function findIdleSessions(connectedSessionIds = []) {
+  const where = {
+    status: 'active',
+    lastActivityAt: { [Op.lt]: new Date(Date.now() - SESSION_IDLE_TIMEOUT) }
+  };
+  if (connectedSessionIds.length) {
+    where.sessionId = { [Op.notIn]: connectedSessionIds };
+  }
+  return ChatSession.findAll({ where });
+}
+
+// Function to mark a session closed and keep it, with its messages, as an archive
+async function archiveChatSession(session, endReason) {
+  const endedAt = new Date();
+  session.status = 'closed';
+  session.endedAt = endedAt;
+  session.endReason = endReason;
+  session.messageCount = await Message.count({ where: { sessionId: session.sessionId } });
+  session.lastActivityAt = endedAt;
+  await session.save();
+  return session;
+}
+
+// Function to delete archived sessions older than the retention period
+async function purgeExpiredArchives() {
+  if (!ARCHIVE_RETENTION_DAYS) return 0;
+
+  const sessions = await ChatSession.findAll({
+    where: {
+      status: 'closed',
+      endedAt: { [Op.lt]: new Date(Date.now() - ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000) }
+    },
+    attributes: ['sessionId']
+  });
+  const sessionIds = sessions.map(session => session.sessionId);
+  if (!sessionIds.length) return 0;
+
+  await Message.destroy({ where: { sessionId: sessionIds } });
+  await ChatVariable.destroy({ where: { sessionId: sessionIds } });
+  // Exports still waiting for delivery are kept until they are delivered or discarded
+  await LeadExport.destroy({ where: { sessionId: sessionIds, status: ['delivered', 'discarded'] } });
+  await ChatSession.destroy({ where: { sessionId: sessionIds } });
+  return sessionIds.length;
+}
+
+module.exports = {
+  SESSION_IDLE_TIMEOUT,
+  issueSessionToken,
+  verifySessionToken,
+  createChatSession,
+  resumeChatSession,
+  touchSession,
+  getSessionBot,
+  formatMessage,
+  getSessionHistory,
+  listActiveSessions,
+  takeOverSession,
+  handBackSession,
+  markLeadExported,
+  findIdleSessions,
+  archiveChatSession,
+  purgeExpiredArchives
+};
@@ -0,0 +1,250 @@
+const cheerio = require('cheerio');
+
+// Bump when the extraction output changes so cached pages are re-fetched and re-parsed
+const EXTRACTOR_VERSION = 2;
+
+// Elements that never hold readable page content
+const ALWAYS_REMOVED = [
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'embed',
+  'button', 'input', 'select', 'textarea', 'dialog'
+].join(', ');
+
+// Page chrome removed unless it sits inside the chosen main content
+const BOILERPLATE = [
+  'nav', 'header', 'footer', 'aside',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[role="dialog"]', '[role="alertdialog"]', '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+
+// id/class names typical of menus, cookie banners, share widgets and similar noise
+const NOISE_PATTERN = /(^|[\s_-])(cookie|consent|gdpr|banner|popup|modal|newsletter|subscribe|share|social|breadcrumbs?|sidebar|menu|navbar|nav|footer|header|comments?|advert|ads|promo|related|skip-link)([\s_-]|$)/i;
+
+// Candidates for the main content, in order of preference
+const MAIN_SELECTORS = ['main', 'article', '[role="main"]', '#content', '#main', '.content', '.main-content', '.post', '.entry-content'];
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption',
+  'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav',
+  'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul'
+]);
+
+const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+
+function getMeta($, selectors) {
+  for (const selector of selectors) {
+    const value = $(selector).attr('content');
+    if (value && value.trim()) return collapse(value);
+  }
+  return '';
+}
+
+// Function to remove noisy elements identified by their id or class names
+function removeNoise($, scope) {
+  $(scope).find('[class], [id]').each((i, el) => {
+    const name = `${$(el).attr('id') || ''} ${$(el).attr('class') || ''}`;
+    if (NOISE_PATTERN.test(name) && !$(el).is('main, article, body') && !$(el).find('main, article').length) {
+      $(el).remove();
+    }
+  });
+}
+
+// Function to pick the element holding the main content, readability-style:
+// known landmarks first, otherwise the container with the most paragraph text
+function findMainContent($) {
+  for (const selector of MAIN_SELECTORS) {
+    const candidates = $(selector).filter((i, el) => collapse($(el).text()).length > 200);
+    if (candidates.length) {
+      return candidates.first();
+    }
+  }
+
+  const scores = new Map();
+  $('body p, body li, body td, body pre').each((i, el) => {
+    const length = collapse($(el).text()).length;
+    if (length < 25) return;
+
+    const score = 1 + Math.min(length / 100, 3) + ($(el).text().split(',').length - 1) * 0.25;
+    const parent = el.parent;
+    const grandparent = parent && parent.parent;
+    if (parent && parent.type === 'tag') {
+      scores.set(parent, (scores.get(parent) || 0) + score);
+    }
+    if (grandparent && grandparent.type === 'tag') {
+      scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+    }
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    // Penalise link-heavy containers such as menus and link lists
+    const text = collapse($(el).text());
+    const linkText = collapse($(el).find('a').text());
+    const adjusted = score * (1 - (text.length ? linkText.length / text.length : 0));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+
+  return best ? $(best) : $('body');
+}
+
+function renderInline($, node) {
+  if (node.type === 'text') {
+    return node.data;
+  }
+  if (node.type !== 'tag') {
+    return '';
+  }
+  if (node.name === 'br') {
+    return '\n';
+  }
+  if (node.name === 'img') {
+    const alt = $(node).attr('alt');
+    return alt ? ` ${alt} ` : '';
+  }
+  return (node.children || []).map(child => renderInline($, child)).join('');
+}
+
+function renderTable($, table) {
+  const rows = [];
+  $(table).find('tr').each((i, tr) => {
+    const cells = $(tr).children('th, td').map((j, cell) => collapse(renderInline($, cell)).replace(/\|/g, '\\|')).get();
+    if (cells.some(Boolean)) rows.push(cells);
+  });
+  if (!rows.length) return '';
+
+  const width = Math.max(...rows.map(row => row.length));
+  const lines = rows.map(row => {
+    const padded = [...row, ...Array(width - row.length).fill('')];
+    return `| ${padded.join(' | ')} |`;
+  });
+  lines.splice(1, 0, `| ${Array(width).fill('---').join(' | ')} |`);
+  return lines.join('\n');
+}
+
+function renderList($, list, depth) {
+  const ordered = list.name === 'ol';
+  const indent = '  '.repeat(depth);
+  const lines = [];
+
+  $(list).children('li').each((i, li) => {
+    const nested = [];
+    const inline = [];
+    for (const child of li.children || []) {
+      if (child.type === 'tag' && (child.name === 'ul' || child.name === 'ol')) {
+        nested.push(renderList($, child, depth + 1));
+      } else if (child.type === 'tag' && BLOCK_TAGS.has(child.name)) {
+        inline.push(renderBlocks($, child, depth + 1).join(' '));
+      } else {
+        inline.push(renderInline($, child));
+      }
+    }
+    const text = collapse(inline.join(' '));
+    if (text) lines.push(`${indent}${ordered ? `${i + 1}.` : '-'} ${text}`);
+    lines.push(...nested.filter(Boolean));
+  });
+
+  return lines.join('\n');
+}
+
+// Function to render an element as Markdown-like blocks
+function renderBlocks($, element, depth = 0) {
+  const blocks = [];
+  let inline = '';
+
+  const flush = () => {
+    const text = inline.split('\n').map(collapse).filter(Boolean).join('\n');
+    if (text) blocks.push(text);
+    inline = '';
+  };
+
+  for (const node of element.children || []) {
+    if (node.type !== 'tag' || !BLOCK_TAGS.has(node.name)) {
+      inline += renderInline($, node);
+      continue;
+    }
+
+    flush();
+    const name = node.name;
+    if (/^h[1-6]$/.test(name)) {
+      const text = collapse(renderInline($, node));
+      if (text) blocks.push(`${'#'.repeat(Number(name[1]))} ${text}`);
+    } else if (name === 'ul' || name === 'ol') {
+      const list = renderList($, node, 0);
+      if (list) blocks.push(list);
+    } else if (name === 'table') {
+      const table = renderTable($, node);
+      if (table) blocks.push(table);
+    } else if (name === 'pre') {
+      const code = $(node).text().replace(/\s+$/, '');
+      if (code.trim()) blocks.push('```\n' + code + '\n```');
+    } else if (name === 'blockquote') {
+      const quote = renderBlocks($, node, depth).join('\n\n');
+      if (quote) blocks.push(quote.split('\n').map(line => `> ${line}`).join('\n'));
+    } else if (name === 'hr') {
+      blocks.push('---');
+    } else {
+      blocks.push(...renderBlocks($, node, depth));
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+// Function to extract the readable main content of an HTML page as Markdown-like text.
+// includeSelectors limit extraction to the matching elements; excludeSelectors are removed first.
+function extractMainContent(html, { includeSelectors = [], excludeSelectors = [] } = {}) {
+  const $ = cheerio.load(html || '');
+
+  const title = getMeta($, ['meta[property="og:title"]', 'meta[name="twitter:title"]']) ||
+    collapse($('title').first().text()) ||
+    collapse($('h1').first().text());
+  const description = getMeta($, ['meta[name="description"]', 'meta[property="og:description"]']);
+
+  $(ALWAYS_REMOVED).remove();
+  for (const selector of excludeSelectors) {
+    $(selector).remove();
+  }
+
+  let blocks;
+  const included = includeSelectors.length ? $(includeSelectors.join(', ')) : null;
+  if (included && included.length) {
+    // Render each root as a block of its own so a matched table or list keeps its formatting
+    blocks = included.toArray().flatMap(root => renderBlocks($, { children: [root] }));
+  } else {
+    $('body').find(BOILERPLATE).filter((i, el) => !$(el).closest('main, article, [role="main"]').length).remove();
+    removeNoise($, 'body');
+    // The main content's children are rendered as blocks, also when it is the body or a table cell
+    const root = findMainContent($).get(0);
+    blocks = root ? renderBlocks($, root) : [];
+  }
+  return {
+    title,
+    description,
+    content: blocks.join('\n\n')
+  };
+}
+
+// Function to check that a value is a list of CSS selectors cheerio can run
+function isValidSelectorList(selectors) {
+  if (!Array.isArray(selectors)) return false;
+  const $ = cheerio.load('');
+  return selectors.every(selector => {
+    if (typeof selector !== 'string' || !selector.trim()) return false;
+    try {
+      $(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+module.exports = {
+  EXTRACTOR_VERSION,
+  extractMainContent,
+  isValidSelectorList
+};
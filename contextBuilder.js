@@ -0,0 +1,167 @@
+const { getEncoding } = require('js-tiktoken');
+const { ChatSession } = require('./db-setup');
+const { formatChunksForContext } = require('./retrieval');
+const { getModelSettings, completeChat } = require('./llmProvider');
+
+// Input token budgets per turn; the reply's own tokens come on top (chat maxTokens)
+const CONTEXT_TOKEN_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10) || 16000;
+const KNOWLEDGE_TOKEN_BUDGET = parseInt(process.env.CONTEXT_KNOWLEDGE_TOKEN_BUDGET, 10) || 3000;
+const SUMMARY_MAX_WORDS = parseInt(process.env.CONTEXT_SUMMARY_MAX_WORDS, 10) || 200;
+// Log every context layout (CONTEXT_DEBUG=true); the last layout of each session is stored either way
+const CONTEXT_DEBUG = process.env.CONTEXT_DEBUG === 'true';
+
+// Each chat message costs a few tokens on top of its content
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Loaded on first use; token counts are exact for OpenAI models and close for other providers
+let encoding = null;
+
+function countTokens(text) {
+  if (!encoding) {
+    encoding = getEncoding('o200k_base');
+  }
+  return encoding.encode(text || '').length;
+}
+
+const countMessageTokens = (message) => countTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+
+// Function to keep the most relevant knowledge chunks that fit in the knowledge budget
+function selectKnowledge(chunks, budget) {
+  const selected = [];
+  for (const chunk of chunks) {
+    const candidate = formatChunksForContext([...selected, chunk]);
+    if (countTokens(candidate) > budget) break;
+    selected.push(chunk);
+  }
+  return selected;
+}
+
+// Function to fold older messages into the session's rolling summary
+async function summarizeMessages(bot, previousSummary, messages) {
+  const transcript = messages.map(message => `${message.role}: ${message.content}`).join('\n');
+  const summary = await completeChat(getModelSettings(bot, 'summary'), [
+    {
+      role: 'system',
+      content: `Summarize this conversation between a customer and an assistant so the assistant can continue it. ` +
+        `Keep what the customer shared about themselves (name, contact details, needs), their questions, ` +
+        `answers and commitments given, and anything still open. Use at most ${SUMMARY_MAX_WORDS} words.`
+    },
+    {
+      role: 'user',
+      content: previousSummary ? `Summary so far:\n${previousSummary}\n\nLater messages:\n${transcript}` : transcript
+    }
+  ]);
+  return summary.trim();
+}
+
+const formatSummary = (summary) => ({
+  role: 'system',
+  content: `Summary of the earlier conversation:\n${summary}`
+});
+
+// Function to build the messages sent to the chat model within the token budget.
+// Layout: knowledge, system prompt, summary of older turns, recent history, instructions.
+// History that does not fit is folded into a rolling summary stored on the session; when the
+// history no longer fits, it is cut down to half its budget so the summary is not rewritten every turn.
+// Returns { messages, layout } where layout lists the tokens of every part for debugging.
+async function buildChatContext({ bot, session, history, systemPrompt, knowledgeChunks = [], instructions = [] }) {
+  const systemMessage = { role: 'system', content: systemPrompt };
+  const instructionMessages = instructions.map(content => ({ role: 'system', content }));
+
+  const knowledge = selectKnowledge(knowledgeChunks, KNOWLEDGE_TOKEN_BUDGET);
+  const knowledgeMessage = knowledge.length
+    ? { role: 'system', content: `Additional Context:\n${formatChunksForContext(knowledge)}` }
+    : null;
+
+  const fixedTokens = countMessageTokens(systemMessage) +
+    instructionMessages.reduce((total, message) => total + countMessageTokens(message), 0) +
+    (knowledgeMessage ? countMessageTokens(knowledgeMessage) : 0);
+  const historyBudget = Math.max(CONTEXT_TOKEN_BUDGET - fixedTokens, 0);
+
+  // Messages already folded into the summary are only sent as part of it
+  let summary = session.historySummary || null;
+  let unsummarized = history.filter(message =>
+    !session.summarizedThroughId || message.id > session.summarizedThroughId
+  );
+  const historyTokens = (messages) => messages.reduce((total, message) => total + countMessageTokens(message), 0);
+  const summaryTokens = () => (summary ? countMessageTokens(formatSummary(summary)) : 0);
+
+  let summarizedCount = 0;
+  if (historyTokens(unsummarized) + summaryTokens() > historyBudget) {
+    // Keep the newest messages within half the budget (always the latest one), summarize the rest
+    let kept = 0;
+    let keptTokens = 0;
+    while (kept < unsummarized.length) {
+      const tokens = countMessageTokens(unsummarized[unsummarized.length - 1 - kept]);
+      if (kept > 0 && keptTokens + tokens > historyBudget / 2) break;
+      keptTokens += tokens;
+      kept++;
+    }
+    const older = unsummarized.slice(0, unsummarized.length - kept);
+
+    if (older.length) {
+      try {
+        summary = await summarizeMessages(bot, summary, older);
+        session.historySummary = summary;
+        session.summarizedThroughId = older[older.length - 1].id;
+        await ChatSession.update(
+          { historySummary: summary, summarizedThroughId: session.summarizedThroughId },
+          { where: { sessionId: session.sessionId } }
+        );
+        summarizedCount = older.length;
+      } catch (error) {
+        // Without a new summary the older messages are simply left out this turn
+        console.error('Error summarizing conversation history:', error);
+      }
+      unsummarized = unsummarized.slice(older.length);
+    }
+
+    // Drop the oldest remaining messages if the summary and history still do not fit
+    while (unsummarized.length > 1 && historyTokens(unsummarized) + summaryTokens() > historyBudget) {
+      unsummarized = unsummarized.slice(1);
+    }
+  }
+
+  const historyMessages = unsummarized.map(message => ({
+    // Agent replies count as the assistant's
+    role: message.role === 'agent' ? 'assistant' : message.role,
+    content: message.content
+  }));
+
+  const parts = [];
+  if (knowledgeMessage) parts.push({ part: 'knowledge', message: knowledgeMessage, chunks: knowledge.length });
+  parts.push({ part: 'system', message: systemMessage });
+  if (summary) parts.push({ part: 'summary', message: formatSummary(summary) });
+  historyMessages.forEach((message, index) => {
+    parts.push({ part: 'history', message, messageId: unsummarized[index].id });
+  });
+  instructionMessages.forEach(message => parts.push({ part: 'instruction', message }));
+
+  const layout = {
+    budget: CONTEXT_TOKEN_BUDGET,
+    totalTokens: 0,
+    knowledgeChunks: { available: knowledgeChunks.length, included: knowledge.length },
+    history: { included: historyMessages.length, summarizedThroughId: session.summarizedThroughId || null, summarizedNow: summarizedCount },
+    parts: parts.map(({ part, message, chunks, messageId }) => {
+      const tokens = countMessageTokens(message);
+      return {
+        part,
+        role: message.role,
+        tokens,
+        ...(chunks !== undefined ? { chunks } : {}),
+        ...(messageId !== undefined ? { messageId } : {})
+      };
+    })
+  };
+  layout.totalTokens = layout.parts.reduce((total, part) => total + part.tokens, 0);
+
+  if (CONTEXT_DEBUG) {
+    console.log(`Context for session ${session.sessionId}:`, JSON.stringify(layout));
+  }
+  return { messages: parts.map(({ message }) => message), layout };
+}
+
+module.exports = {
+  countTokens,
+  buildChatContext
+};
@@ -0,0 +1,337 @@
+const zlib = require('zlib');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const robotsParser = require('robots-parser');
+const { Op } = require('sequelize');
+const { CrawlSource, WebpageSnapshot } = require('./db-setup');
+const { parseWebpage, getExtractionKey, formatWebpageContent } = require('./webpageCache');
+const { indexSource, removeSource } = require('./retrieval');
+
+const CRAWLER_USER_AGENT = process.env.CRAWLER_USER_AGENT || 'KnowledgeBaseCrawler/1.0';
+const CRAWL_DELAY = parseInt(process.env.CRAWL_DELAY_MS, 10) || 500;
+const CRAWL_FETCH_TIMEOUT = parseInt(process.env.WEBPAGE_FETCH_TIMEOUT_MS, 10) || 15000;
+const CRAWL_MAX_PAGES_LIMIT = parseInt(process.env.CRAWL_MAX_PAGES_LIMIT, 10) || 1000;
+const CRAWL_REFRESH_INTERVAL = parseInt(process.env.CRAWL_REFRESH_INTERVAL_MS, 10) || 24 * 60 * 60 * 1000;
+const MAX_SITEMAP_FILES = 20;
+// Sitemaps may hold up to 50 MB of XML, also when served gzipped
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+// Crawl sources currently being crawled, so the same crawl never runs twice at once
+const runningCrawls = new Set();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isSitemapUrl(url) {
+  return /\.xml(\.gz)?$/i.test(new URL(url).pathname);
+}
+
+// Function to normalise a link so the same page is only visited once
+function normalizeUrl(href, baseUrl) {
+  try {
+    const url = new URL(href, baseUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    url.hash = '';
+    return url.toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to check a URL against the crawl's origin and allowed path prefixes
+function isInScope(url, crawlSource) {
+  const target = new URL(url);
+  const root = new URL(crawlSource.rootUrl);
+  if (target.origin !== root.origin) return false;
+
+  const prefixes = crawlSource.allowedPathPrefixes || [];
+  return !prefixes.length || prefixes.some(prefix => target.pathname.startsWith(prefix));
+}
+
+async function fetchText(url) {
+  return axios.get(url, {
+    timeout: CRAWL_FETCH_TIMEOUT,
+    responseType: 'text',
+    headers: { 'User-Agent': CRAWLER_USER_AGENT },
+    maxContentLength: 5 * 1024 * 1024
+  });
+}
+
+// Function to fetch a sitemap's XML; gzipped sitemaps (.xml.gz) are decompressed
+async function fetchSitemap(url) {
+  const response = await axios.get(url, {
+    timeout: CRAWL_FETCH_TIMEOUT,
+    responseType: 'arraybuffer',
+    headers: { 'User-Agent': CRAWLER_USER_AGENT },
+    maxContentLength: MAX_SITEMAP_BYTES
+  });
+  const data = Buffer.from(response.data);
+  // Checked by content: servers that send .gz files with Content-Encoding: gzip get them decoded by axios already
+  const gzipped = data.length > 2 && data[0] === 0x1f && data[1] === 0x8b;
+  return (gzipped ? zlib.gunzipSync(data, { maxOutputLength: MAX_SITEMAP_BYTES }) : data).toString('utf8');
+}
+
+// Function to load robots.txt for the crawl's origin; a missing file allows everything
+async function loadRobots(rootUrl) {
+  const robotsUrl = new URL('/robots.txt', rootUrl).toString();
+  try {
+    const response = await fetchText(robotsUrl);
+    return robotsParser(robotsUrl, response.data);
+  } catch (error) {
+    return robotsParser(robotsUrl, '');
+  }
+}
+
+// Function to collect page URLs from a sitemap, following nested sitemap indexes
+async function readSitemap(sitemapUrl) {
+  const pageUrls = [];
+  const queue = [sitemapUrl];
+  const seen = new Set();
+
+  while (queue.length && seen.size < MAX_SITEMAP_FILES) {
+    const url = queue.shift();
+    if (seen.has(url)) continue;
+    seen.add(url);
+
+    const $ = cheerio.load(await fetchSitemap(url), { xmlMode: true });
+    $('sitemapindex > sitemap > loc').each((i, el) => {
+      queue.push($(el).text().trim());
+    });
+    $('urlset > url > loc').each((i, el) => {
+      pageUrls.push($(el).text().trim());
+    });
+  }
+
+  return pageUrls;
+}
+
+// Function to store a crawled page as its own knowledge document
+async function storeCrawledPage(crawlSource, url, response) {
+  const selectors = {
+    includeSelectors: crawlSource.includeSelectors,
+    excludeSelectors: crawlSource.excludeSelectors
+  };
+  const page = parseWebpage(response.data, selectors);
+
+  const [snapshot, created] = await WebpageSnapshot.findOrCreate({
+    where: { botId: crawlSource.botId, url },
+    defaults: { crawlSourceId: crawlSource.id }
+  });
+  // Pages that were added by hand belong to their own knowledge URL, not to the crawl
+  if (!created && snapshot.crawlSourceId !== crawlSource.id) {
+    return;
+  }
+
+  snapshot.title = page.title;
+  snapshot.description = page.description;
+  snapshot.content = page.content;
+  snapshot.extractionKey = getExtractionKey(selectors);
+  snapshot.etag = response.headers.etag || null;
+  snapshot.lastModifiedHeader = response.headers['last-modified'] || null;
+  snapshot.lastFetchedAt = new Date();
+  snapshot.lastError = null;
+  snapshot.lastErrorAt = null;
+  await snapshot.save();
+
+  await indexSource(crawlSource.botId, 'webpage', url, formatWebpageContent(snapshot));
+}
+
+// Function to record a page that could not be fetched without losing its last good copy
+async function recordPageError(crawlSource, url, error) {
+  const snapshot = await WebpageSnapshot.findOne({ where: { botId: crawlSource.botId, url } });
+  if (snapshot && snapshot.crawlSourceId === crawlSource.id) {
+    snapshot.lastError = error.message;
+    snapshot.lastErrorAt = new Date();
+    await snapshot.save();
+  }
+}
+
+// Function to crawl a root URL or sitemap within the configured limits.
+// Progress is saved on the CrawlSource row as pages are fetched.
+async function runCrawl(crawlSourceId) {
+  if (runningCrawls.has(crawlSourceId)) return;
+  runningCrawls.add(crawlSourceId);
+
+  const crawlSource = await CrawlSource.findByPk(crawlSourceId);
+  if (!crawlSource) {
+    runningCrawls.delete(crawlSourceId);
+    return;
+  }
+
+  try {
+    Object.assign(crawlSource, {
+      status: 'crawling',
+      pagesDiscovered: 0,
+      pagesFetched: 0,
+      pagesFailed: 0,
+      pagesSkipped: 0,
+      lastError: null,
+      startedAt: new Date(),
+      finishedAt: null
+    });
+    await crawlSource.save();
+
+    const robots = await loadRobots(crawlSource.rootUrl);
+    const delay = Math.max(CRAWL_DELAY, (robots.getCrawlDelay(CRAWLER_USER_AGENT) || 0) * 1000);
+    const maxPages = Math.min(crawlSource.maxPages, CRAWL_MAX_PAGES_LIMIT);
+
+    // Seed the queue from the sitemap or the root page
+    const queue = [];
+    const visited = new Set();
+    const enqueue = (url, depth) => {
+      if (!url || visited.has(url) || !isInScope(url, crawlSource)) return;
+      visited.add(url);
+      queue.push({ url, depth });
+    };
+
+    if (crawlSource.isSitemap) {
+      const sitemapPages = await readSitemap(crawlSource.rootUrl);
+      sitemapPages.forEach(url => enqueue(normalizeUrl(url), 0));
+    } else {
+      enqueue(normalizeUrl(crawlSource.rootUrl), 0);
+    }
+
+    const crawledUrls = new Set();
+    while (queue.length && crawledUrls.size < maxPages) {
+      const { url, depth } = queue.shift();
+      crawlSource.pagesDiscovered = visited.size;
+
+      if (!robots.isAllowed(url, CRAWLER_USER_AGENT)) {
+        crawlSource.pagesSkipped += 1;
+        continue;
+      }
+
+      crawledUrls.add(url);
+      try {
+        const response = await fetchText(url);
+        const contentType = String(response.headers['content-type'] || '');
+        if (!contentType.includes('text/html')) {
+          crawledUrls.delete(url);
+          crawlSource.pagesSkipped += 1;
+          continue;
+        }
+
+        await storeCrawledPage(crawlSource, url, response);
+        crawlSource.pagesFetched += 1;
+
+        // Follow links from HTML pages unless the depth limit is reached (sitemaps list every page)
+        if (!crawlSource.isSitemap && depth < crawlSource.maxDepth) {
+          const $ = cheerio.load(response.data);
+          $('a[href]').each((i, el) => {
+            enqueue(normalizeUrl($(el).attr('href'), url), depth + 1);
+          });
+        }
+      } catch (error) {
+        console.error(`Error crawling ${url}:`, error.message);
+        crawlSource.pagesFailed += 1;
+        await recordPageError(crawlSource, url, error);
+      }
+
+      crawlSource.pagesDiscovered = visited.size;
+      await crawlSource.save();
+      await sleep(delay);
+    }
+
+    // Drop pages from earlier crawls that are no longer reachable
+    const stalePages = await WebpageSnapshot.findAll({
+      where: { crawlSourceId: crawlSource.id },
+      attributes: ['id', 'url']
+    });
+    for (const page of stalePages) {
+      if (!crawledUrls.has(page.url)) {
+        await removeSource(crawlSource.botId, 'webpage', page.url);
+        await page.destroy();
+      }
+    }
+
+    crawlSource.status = 'completed';
+    crawlSource.finishedAt = new Date();
+    crawlSource.lastCrawledAt = crawlSource.finishedAt;
+    await crawlSource.save();
+    console.log(`Crawl of ${crawlSource.rootUrl} finished: ${crawlSource.pagesFetched} pages`);
+  } catch (error) {
+    console.error(`Crawl of ${crawlSource.rootUrl} failed:`, error);
+    crawlSource.status = 'failed';
+    crawlSource.lastError = error.message;
+    crawlSource.finishedAt = new Date();
+    await crawlSource.save();
+  } finally {
+    runningCrawls.delete(crawlSourceId);
+  }
+}
+
+// Function to start a crawl in the background
+function startCrawl(crawlSourceId) {
+  runCrawl(crawlSourceId).catch(error => {
+    console.error(`Error running crawl ${crawlSourceId}:`, error);
+  });
+}
+
+// Function to re-crawl sources whose last crawl is older than the refresh interval,
+// including crawls interrupted by a restart
+async function startDueCrawls() {
+  const crawlSources = await CrawlSource.findAll();
+  for (const crawlSource of crawlSources) {
+    if (runningCrawls.has(crawlSource.id)) continue;
+
+    const lastCrawledAt = crawlSource.lastCrawledAt ? crawlSource.lastCrawledAt.getTime() : 0;
+    if (crawlSource.status === 'crawling' || Date.now() - lastCrawledAt >= CRAWL_REFRESH_INTERVAL) {
+      startCrawl(crawlSource.id);
+    }
+  }
+}
+
+// Function to delete a crawl source together with its pages and their index entries
+async function deleteCrawlSource(crawlSource) {
+  const pages = await WebpageSnapshot.findAll({
+    where: { crawlSourceId: crawlSource.id },
+    attributes: ['url']
+  });
+  for (const page of pages) {
+    await removeSource(crawlSource.botId, 'webpage', page.url);
+  }
+  await WebpageSnapshot.destroy({ where: { crawlSourceId: crawlSource.id } });
+  await crawlSource.destroy();
+}
+
+// Function to get the URLs of a bot's crawled pages so they are not pruned from its index
+async function listCrawledPageUrls(botId) {
+  const pages = await WebpageSnapshot.findAll({
+    where: { botId, crawlSourceId: { [Op.ne]: null } },
+    attributes: ['url']
+  });
+  return pages.map(page => page.url);
+}
+
+// Function to format a crawl source's progress for the admin API
+function formatCrawlStatus(crawlSource) {
+  return {
+    id: crawlSource.id,
+    rootUrl: crawlSource.rootUrl,
+    isSitemap: crawlSource.isSitemap,
+    maxDepth: crawlSource.maxDepth,
+    maxPages: crawlSource.maxPages,
+    allowedPathPrefixes: crawlSource.allowedPathPrefixes,
+    includeSelectors: crawlSource.includeSelectors,
+    excludeSelectors: crawlSource.excludeSelectors,
+    status: crawlSource.status,
+    running: runningCrawls.has(crawlSource.id),
+    pagesDiscovered: crawlSource.pagesDiscovered,
+    pagesFetched: crawlSource.pagesFetched,
+    pagesFailed: crawlSource.pagesFailed,
+    pagesSkipped: crawlSource.pagesSkipped,
+    lastError: crawlSource.lastError,
+    startedAt: crawlSource.startedAt,
+    finishedAt: crawlSource.finishedAt,
+    lastCrawledAt: crawlSource.lastCrawledAt
+  };
+}
+
+module.exports = {
+  isSitemapUrl,
+  runCrawl,
+  startCrawl,
+  startDueCrawls,
+  deleteCrawlSource,
+  listCrawledPageUrls,
+  formatCrawlStatus
+};
@@ -14,20 +14,109 @@ const sequelize = new Sequelize(process.env.DATABASE_URL, {
   }
 });
 
+// Key of the bot that owns the settings from before bots existed
+const DEFAULT_BOT_KEY = 'default';
+
 // Chat session model
 const ChatSession = sequelize.define('ChatSession', {
   sessionId: {
     type: DataTypes.STRING,
     primaryKey: true
+  },
+  botId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Last message or disconnect; sessions idle for longer than the timeout are closed
+  lastActivityAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  // 'active' while the conversation can continue, 'closed' once it is archived
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  endedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Why the session ended: 'client', 'idle' or 'admin'
+  endReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  messageCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Slot filling: how often the bot has asked for a missing field, and at which user turn last
+  slotAskCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastSlotAskTurn: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Set once every field the bot collects has a valid value
+  leadCompletedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Set when the lead is exported, so it is exported only once
+  leadExportedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Set while a human agent has taken over the session; the bot does not reply meanwhile
+  takenOverAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  agentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  agentName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Rolling summary of the messages up to summarizedThroughId, sent instead of those messages
+  historySummary: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  summarizedThroughId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Token layout of the last context sent to the chat model, for debugging
+  contextLayout: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  // Channel the customer chats on (e.g. "web", "whatsapp"), as sent by the client
+  channel: {
+    type: DataTypes.STRING,
+    allowNull: true
   }
 });
 
-// Global settings model
-const GlobalSettings = sequelize.define('GlobalSettings', {
-  id: {
-    type: DataTypes.INTEGER,
-    primaryKey: true,
-    defaultValue: 1
+// Bot model: one chatbot (storefront) with its own prompt, knowledge sources and extraction settings
+const Bot = sequelize.define('Bot', {
+  key: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
   },
   prompt: {
     type: DataTypes.TEXT,
@@ -41,6 +130,10 @@ const GlobalSettings = sequelize.define('GlobalSettings', {
     type: DataTypes.ARRAY(DataTypes.STRING),
     defaultValue: []
   },
+  knowledgeBaseUrlSelectors: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
   knowledgeBasePdfPaths: {
     type: DataTypes.ARRAY(DataTypes.STRING),
     defaultValue: []
@@ -49,13 +142,78 @@ const GlobalSettings = sequelize.define('GlobalSettings', {
     type: DataTypes.ARRAY(DataTypes.STRING),
     defaultValue: []
   },
+  // Typed definitions of the extraction headers:
+  // [{ name, type, description, required, options }], in the same order as extractionHeaders
+  extractionFields: {
+    type: DataTypes.JSONB,
+    defaultValue: []
+  },
   targetSpreadsheetId: {
     type: DataTypes.STRING,
     allowNull: true
+  },
+  // How leads are written to the target spreadsheet: { sheetName, metadataColumns }
+  targetSpreadsheetOptions: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  // Model settings per step: { chat: { provider, model, temperature, maxTokens, timeoutMs }, extraction, summary }
+  modelSettings: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  // Reply style: { style, maxLength, allowLists, allowMarkdown, fallbacks, channels }, see responsePolicy.js
+  responsePolicy: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  // Lead export sinks: [{ id, type, name, enabled, fieldMapping: [{ field, as }], config }], see exportSinks.js
+  exportSinks: {
+    type: DataTypes.JSONB,
+    defaultValue: []
+  },
+  // Slot filling mode: { enabled, fields, maxAsks, turnsBetweenAsks, firstAskTurn }, see slotFilling.js
+  slotFilling: {
+    type: DataTypes.JSONB,
+    defaultValue: { enabled: false }
+  },
+  // Number of the PromptVersion whose text is in prompt
+  activePromptVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true
   }
 });
 
-// Message model
+// Prompt version model: every saved system prompt of a bot, numbered from 1
+const PromptVersion = sequelize.define('PromptVersion', {
+  botId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  prompt: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  author: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ['botId', 'version'] }
+  ]
+});
+
+// Message model; role is 'user', 'assistant' or 'agent' (a human agent who took over the session)
 const Message = sequelize.define('Message', {
   role: {
     type: DataTypes.STRING,
@@ -68,6 +226,20 @@ const Message = sequelize.define('Message', {
   timestamp: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
+  },
+  // Prompt version the assistant reply was generated with
+  promptVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // API key id and name of the human agent who sent an 'agent' message
+  agentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  agentName: {
+    type: DataTypes.STRING,
+    allowNull: true
   }
 });
 
@@ -88,18 +260,58 @@ const ChatVariable = sequelize.define('ChatVariable', {
   timestamp: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
+  },
+  // 'valid', 'invalid' (failed validation) or 'missing' (required but not found)
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'valid'
+  },
+  // The value as the model returned it, before normalisation
+  rawValue: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // User message that was the latest when this value was extracted
+  sourceMessageId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
   }
+}, {
+  // One current value per field and session
+  indexes: [
+    { unique: true, fields: ['sessionId', 'variableName'] }
+  ]
 });
 
-// PDF Content model to store processed PDF content
+// PDF Content model to store the extracted text of every knowledge file
 const PdfContent = sequelize.define('PdfContent', {
   filePath: {
     type: DataTypes.STRING,
     primaryKey: true
   },
+  format: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'pdf'
+  },
   content: {
     type: DataTypes.TEXT,
-    allowNull: false
+    allowNull: false,
+    defaultValue: ''
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'ready'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
   },
   lastModified: {
     type: DataTypes.DATE,
@@ -107,7 +319,363 @@ const PdfContent = sequelize.define('PdfContent', {
   }
 });
 
+// Webpage snapshot model caching the last good copy of each knowledge URL of a bot
+const WebpageSnapshot = sequelize.define('WebpageSnapshot', {
+  botId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  url: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  extractionKey: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  etag: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  lastModifiedHeader: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  lastFetchedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  lastErrorAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  crawlSourceId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  indexes: [
+    { unique: true, fields: ['botId', 'url'] }
+  ]
+});
+
+// Crawl source model describing a site (root URL or sitemap) crawled into a bot's knowledge base
+const CrawlSource = sequelize.define('CrawlSource', {
+  botId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  rootUrl: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  isSitemap: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  maxDepth: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 2
+  },
+  maxPages: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 100
+  },
+  allowedPathPrefixes: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: []
+  },
+  includeSelectors: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: []
+  },
+  excludeSelectors: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: []
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  pagesDiscovered: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  pagesFetched: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  pagesFailed: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  pagesSkipped: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastCrawledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+});
+
+// Sheet snapshot model caching the rows of each knowledge base sheet
+const SheetSnapshot = sequelize.define('SheetSnapshot', {
+  sheetId: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  title: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  values: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  rowCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  modifiedTime: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastSyncedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  lastErrorAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+});
+
+// Knowledge chunk model storing embedded passages of every knowledge source
+const KnowledgeChunk = sequelize.define('KnowledgeChunk', {
+  botId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  sourceType: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  sourceId: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  chunkIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  contentHash: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  embedding: {
+    type: DataTypes.ARRAY(DataTypes.REAL),
+    allowNull: false
+  }
+}, {
+  indexes: [
+    { fields: ['botId', 'sourceType', 'sourceId'] }
+  ]
+});
+
+// Admin API key model; only a hash of the key is stored
+const AdminApiKey = sequelize.define('AdminApiKey', {
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  keyHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  // First characters of the key, so admins can tell keys apart
+  keyPrefix: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // 'viewer' (read only), 'editor' (change bot settings) or 'owner' (manage bots and keys)
+  role: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'viewer'
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+});
+
+// Audit log model recording every change made through the admin API
+const AuditLog = sequelize.define('AuditLog', {
+  // Name of the API key that made the change
+  actor: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  apiKeyId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  role: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  botId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  method: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  path: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  statusCode: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // The request body, i.e. the new values of the changed settings
+  changes: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  updatedAt: false,
+  indexes: [
+    { fields: ['createdAt'] },
+    { fields: ['botId'] }
+  ]
+});
+
 // Define relationships
+// Lead export outbox: one delivery of a session's lead to one export sink
+const LeadExport = sequelize.define('LeadExport', {
+  botId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  sessionId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  sinkId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  sinkType: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  sinkName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Sent to the sink so a repeated delivery can be recognised: <sessionId>:<sinkId>
+  idempotencyKey: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  // The lead as built when it was exported, see buildLeadRecord in exportSinks.js
+  record: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  // 'pending' until delivered; 'dead' after too many failures; 'discarded' by an admin
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  indexes: [
+    { fields: ['status', 'nextAttemptAt'] },
+    { fields: ['botId', 'status'] }
+  ]
+});
+
+Bot.hasMany(ChatSession, {
+  foreignKey: 'botId'
+});
+ChatSession.belongsTo(Bot, {
+  foreignKey: 'botId'
+});
 ChatSession.hasMany(Message, {
   foreignKey: 'sessionId',
   sourceKey: 'sessionId'
@@ -128,17 +696,25 @@ async function setupDatabase() {
     await sequelize.sync({ force: true });
     console.log('Database schema synchronized');
 
-    // Create initial global settings
-    await GlobalSettings.create({
-      id: 1,
+    // Create the default bot with its first prompt version
+    const bot = await Bot.create({
+      key: DEFAULT_BOT_KEY,
+      name: 'Default bot',
       prompt: "You are a helpful assistant.",
       knowledgeBaseSheetIds: [],
       knowledgeBaseUrls: [],
       knowledgeBasePdfPaths: [],
       extractionHeaders: [],
-      targetSpreadsheetId: null
+      targetSpreadsheetId: null,
+      activePromptVersion: 1
+    });
+    await PromptVersion.create({
+      botId: bot.id,
+      version: 1,
+      prompt: bot.prompt,
+      author: 'setup'
     });
-    console.log('Initial global settings created');
+    console.log('Default bot created');
 
     console.log('Database setup completed successfully!');
   } catch (error) {
@@ -149,5 +725,25 @@ async function setupDatabase() {
   }
 }
 
-// Run the setup
-setupDatabase(); 
\ No newline at end of file
+// Run the setup only when invoked directly (node db-setup.js)
+if (require.main === module) {
+  setupDatabase();
+}
+
+module.exports = {
+  sequelize,
+  DEFAULT_BOT_KEY,
+  ChatSession,
+  Bot,
+  PromptVersion,
+  Message,
+  ChatVariable,
+  PdfContent,
+  WebpageSnapshot,
+  CrawlSource,
+  SheetSnapshot,
+  KnowledgeChunk,
+  AdminApiKey,
+  AuditLog,
+  LeadExport
+};
@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const axios = require('axios');
+const { METADATA_COLUMNS, appendLeadRow } = require('./sheetWriter');
+const { escapeCsvField } = require('./transcripts');
+
+// Directory the file sinks write to; sinks only name a file inside it
+const LEAD_EXPORT_DIR = process.env.LEAD_EXPORT_DIR || path.join(__dirname, 'exports');
+const EXPORT_REQUEST_TIMEOUT = parseInt(process.env.LEAD_EXPORT_TIMEOUT_MS, 10) || 10000;
+
+// Id of the sink standing in for the bot's targetSpreadsheetId
+const TARGET_SPREADSHEET_SINK_ID = 'target-spreadsheet';
+
+// Config values that are never returned by the admin API. Every value of a webhook's
+// headers is masked too, since they are where its credentials (e.g. Authorization) go.
+const SECRET_CONFIG_KEYS = ['secret', 'authToken'];
+const SECRET_MASK = '********';
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function isStringMap(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(item => typeof item === 'string');
+}
+
+// Function to check the settings of a spreadsheet the leads are written to
+function validateSheetConfig(config) {
+  if (typeof config.spreadsheetId !== 'string' || !config.spreadsheetId.trim()) {
+    return 'spreadsheetId is required';
+  }
+  if (config.sheetName !== undefined && config.sheetName !== null &&
+    (typeof config.sheetName !== 'string' || !config.sheetName.trim())) {
+    return 'sheetName must be the name of a tab';
+  }
+  if (config.metadataColumns !== undefined &&
+    (!Array.isArray(config.metadataColumns) || config.metadataColumns.some(column => !METADATA_COLUMNS[column]))) {
+    return `metadataColumns must be a list of: ${Object.keys(METADATA_COLUMNS).join(', ')}`;
+  }
+  return null;
+}
+
+// Appends to a file sink are queued per file so CSV headers are written once
+const fileQueues = new Map();
+
+function appendToFile(filePath, buildContent) {
+  const previous = fileQueues.get(filePath) || Promise.resolve();
+  const run = previous.catch(() => {}).then(async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const exists = await fs.access(filePath).then(() => true, () => false);
+    await fs.appendFile(filePath, buildContent(exists));
+  });
+  fileQueues.set(filePath, run);
+  return run.finally(() => {
+    if (fileQueues.get(filePath) === run) {
+      fileQueues.delete(filePath);
+    }
+  });
+}
+
+// Built-in sink types. validate(config) returns an error message or null;
+// send(record, config) delivers one lead record and throws on failure.
+// HTTP sinks pass the record's idempotencyKey on so receivers can drop repeated deliveries.
+const SINK_TYPES = {
+  // Appends a row to a tab of a Google Sheet (sheetName, default the first tab), matching
+  // columns by header; metadataColumns adds any of sessionId, exportedAt, bot and transcriptLink
+  sheets: {
+    validate: validateSheetConfig,
+    async send(record, config) {
+      await appendLeadRow(config, record);
+    }
+  },
+
+  // Posts the lead as JSON; with a secret the body is signed in X-Lead-Signature (HMAC-SHA256)
+  webhook: {
+    validate(config) {
+      if (!isHttpUrl(config.url)) {
+        return 'url must be an http(s) URL';
+      }
+      if (config.headers !== undefined && !isStringMap(config.headers)) {
+        return 'headers must map header names to strings';
+      }
+      if (config.secret !== undefined && typeof config.secret !== 'string') {
+        return 'secret must be a string';
+      }
+      return null;
+    },
+    async send(record, config) {
+      const body = JSON.stringify({
+        event: 'lead.exported',
+        sessionId: record.sessionId,
+        botKey: record.botKey,
+        exportedAt: record.exportedAt,
+        idempotencyKey: record.idempotencyKey,
+        lead: Object.fromEntries(record.values.map(({ name, value }) => [name, value]))
+      });
+      const headers = { ...(config.headers || {}), 'Content-Type': 'application/json' };
+      if (record.idempotencyKey) {
+        headers['Idempotency-Key'] = record.idempotencyKey;
+      }
+      if (config.secret) {
+        const signature = crypto.createHmac('sha256', config.secret).update(body).digest('hex');
+        headers['X-Lead-Signature'] = `sha256=${signature}`;
+      }
+      await axios.post(config.url, body, { headers, timeout: EXPORT_REQUEST_TIMEOUT });
+    }
+  },
+
+  // Appends the lead to a CSV or JSON Lines file in LEAD_EXPORT_DIR
+  file: {
+    validate(config) {
+      if (!['csv', 'jsonl'].includes(config.format)) {
+        return 'format must be csv or jsonl';
+      }
+      if (typeof config.fileName !== 'string' || !/^[\w-][\w.-]*$/.test(config.fileName)) {
+        return 'fileName must be a plain file name (letters, digits, ".", "_" and "-")';
+      }
+      return null;
+    },
+    async send(record, config) {
+      const filePath = path.join(LEAD_EXPORT_DIR, config.fileName);
+      if (config.format === 'jsonl') {
+        const line = JSON.stringify({
+          sessionId: record.sessionId,
+          botKey: record.botKey,
+          exportedAt: record.exportedAt,
+          ...Object.fromEntries(record.values.map(({ name, value }) => [name, value]))
+        });
+        await appendToFile(filePath, () => `${line}\n`);
+        return;
+      }
+
+      const row = (values) => values.map(escapeCsvField).join(',') + '\r\n';
+      await appendToFile(filePath, (exists) =>
+        (exists ? '' : row(['sessionId', 'botKey', 'exportedAt', ...record.values.map(({ name }) => name)])) +
+        row([record.sessionId, record.botKey, record.exportedAt, ...record.values.map(({ value }) => value)])
+      );
+    }
+  },
+
+  // Creates a record through a CRM's REST API: authenticated request with the mapped fields
+  // plus fixed staticFields, optionally wrapped in one key (e.g. { "properties": { ... } })
+  crm: {
+    validate(config) {
+      if (!isHttpUrl(config.url)) {
+        return 'url must be an http(s) URL';
+      }
+      if (config.method !== undefined && !['POST', 'PUT', 'PATCH'].includes(config.method)) {
+        return 'method must be POST, PUT or PATCH';
+      }
+      for (const key of ['authToken', 'authHeader', 'authScheme', 'wrapKey']) {
+        if (config[key] !== undefined && typeof config[key] !== 'string') {
+          return `${key} must be a string`;
+        }
+      }
+      if (config.staticFields !== undefined && !isStringMap(config.staticFields)) {
+        return 'staticFields must map field names to strings';
+      }
+      return null;
+    },
+    async send(record, config) {
+      const fields = {
+        ...(config.staticFields || {}),
+        ...Object.fromEntries(record.values.map(({ name, value }) => [name, value]))
+      };
+      const headers = { 'Content-Type': 'application/json' };
+      if (record.idempotencyKey) {
+        headers['Idempotency-Key'] = record.idempotencyKey;
+      }
+      if (config.authToken) {
+        const scheme = config.authScheme === undefined ? 'Bearer' : config.authScheme;
+        headers[config.authHeader || 'Authorization'] = scheme ? `${scheme} ${config.authToken}` : config.authToken;
+      }
+      await axios.request({
+        url: config.url,
+        method: config.method || 'POST',
+        data: config.wrapKey ? { [config.wrapKey]: fields } : fields,
+        headers,
+        timeout: EXPORT_REQUEST_TIMEOUT
+      });
+    }
+  }
+};
+
+// Function to check a sink definition; returns an error message or null
+function validateSink(sink, extractionFields) {
+  if (!sink || typeof sink !== 'object') {
+    return 'Sink must be an object';
+  }
+  const sinkType = SINK_TYPES[sink.type];
+  if (!sinkType) {
+    return `Unknown sink type; allowed: ${Object.keys(SINK_TYPES).join(', ')}`;
+  }
+  if (sink.name !== undefined && typeof sink.name !== 'string') {
+    return 'name must be a string';
+  }
+  if (sink.enabled !== undefined && typeof sink.enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  if (sink.fieldMapping !== undefined) {
+    if (!Array.isArray(sink.fieldMapping)) {
+      return 'fieldMapping must be an array of { field, as }';
+    }
+    for (const mapping of sink.fieldMapping) {
+      if (!mapping || !extractionFields.some(field => field.name === mapping.field)) {
+        return `Unknown extraction field in fieldMapping: ${mapping?.field}`;
+      }
+      if (mapping.as !== undefined && (typeof mapping.as !== 'string' || !mapping.as.trim())) {
+        return `Invalid output name for field ${mapping.field}`;
+      }
+    }
+  }
+  if (!sink.config || typeof sink.config !== 'object' || Array.isArray(sink.config)) {
+    return 'config must be an object';
+  }
+  return sinkType.validate(sink.config);
+}
+
+// Function to merge an update from the admin API over a stored sink; the type cannot change
+function mergeSinkUpdate(existing, update) {
+  return {
+    ...existing,
+    ...update,
+    type: existing.type,
+    config: { ...existing.config, ...(update.config || {}) }
+  };
+}
+
+// Function to store only the known properties of a validated sink.
+// Masked secrets sent back by the admin API keep their stored value.
+function normalizeSink(sink, existing = null) {
+  const config = { ...sink.config };
+  for (const key of SECRET_CONFIG_KEYS) {
+    if (config[key] === SECRET_MASK) {
+      config[key] = existing?.config?.[key];
+    }
+  }
+  if (config.headers) {
+    const storedHeaders = existing?.config?.headers || {};
+    config.headers = Object.fromEntries(Object.entries(config.headers)
+      .map(([name, value]) => [name, value === SECRET_MASK ? storedHeaders[name] : value])
+      .filter(([, value]) => value !== undefined));
+  }
+
+  return {
+    id: existing ? existing.id : crypto.randomUUID(),
+    type: sink.type,
+    name: sink.name || sink.type,
+    enabled: sink.enabled !== undefined ? sink.enabled : true,
+    fieldMapping: (sink.fieldMapping || []).map(mapping => ({
+      field: mapping.field,
+      as: (mapping.as || mapping.field).trim()
+    })),
+    config
+  };
+}
+
+// Function to format a sink for the admin API with its secrets masked
+function formatSink(sink) {
+  const config = { ...sink.config };
+  for (const key of SECRET_CONFIG_KEYS) {
+    if (config[key]) {
+      config[key] = SECRET_MASK;
+    }
+  }
+  if (config.headers) {
+    config.headers = Object.fromEntries(Object.keys(config.headers).map(name => [name, SECRET_MASK]));
+  }
+  return { ...sink, config };
+}
+
+// Function to get every sink a bot exports to. The target spreadsheet set through
+// /target-spreadsheet keeps working as a Sheets sink with the default mapping.
+function getBotSinks(bot) {
+  const sinks = [...(bot.exportSinks || [])];
+  if (bot.targetSpreadsheetId) {
+    sinks.unshift({
+      id: TARGET_SPREADSHEET_SINK_ID,
+      type: 'sheets',
+      name: 'Target spreadsheet',
+      enabled: true,
+      fieldMapping: [],
+      config: { ...(bot.targetSpreadsheetOptions || {}), spreadsheetId: bot.targetSpreadsheetId }
+    });
+  }
+  return sinks;
+}
+
+// Function to build the record a sink receives: mapped values in mapping order.
+// Without a mapping every extraction field is sent under its own name; flagged values are sent empty.
+function buildLeadRecord(sink, bot, sessionId, lead) {
+  const mapping = sink.fieldMapping?.length
+    ? sink.fieldMapping
+    : (bot.extractionFields || []).map(field => ({ field: field.name, as: field.name }));
+
+  return {
+    sessionId,
+    botKey: bot.key,
+    exportedAt: new Date().toISOString(),
+    values: mapping.map(({ field, as }) => {
+      const entry = lead[field];
+      return { name: as, value: entry && entry.status === 'valid' ? entry.value || '' : '' };
+    })
+  };
+}
+
+// Function to send one record to one sink
+async function sendToSink(sink, record) {
+  await SINK_TYPES[sink.type].send(record, sink.config);
+}
+
+module.exports = {
+  SINK_TYPES,
+  TARGET_SPREADSHEET_SINK_ID,
+  validateSink,
+  mergeSinkUpdate,
+  normalizeSink,
+  formatSink,
+  validateSheetConfig,
+  getBotSinks,
+  buildLeadRecord,
+  sendToSink
+};
@@ -0,0 +1,169 @@
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+
+// Country assumed for phone numbers written without an international prefix
+const DEFAULT_PHONE_COUNTRY = process.env.EXTRACTION_DEFAULT_COUNTRY || 'US';
+
+const FIELD_TYPES = ['string', 'email', 'phone', 'number', 'date', 'enum'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Function to check a list of field definitions; returns an error message or null
+function validateFieldDefinitions(fields) {
+  if (!Array.isArray(fields)) {
+    return 'fields must be an array';
+  }
+
+  const names = new Set();
+  for (const field of fields) {
+    if (!field || typeof field.name !== 'string' || !field.name.trim()) {
+      return 'Every field needs a name';
+    }
+    if (names.has(field.name)) {
+      return `Duplicate field name: ${field.name}`;
+    }
+    names.add(field.name);
+
+    if (!FIELD_TYPES.includes(field.type)) {
+      return `Field ${field.name} has an unknown type; allowed: ${FIELD_TYPES.join(', ')}`;
+    }
+    if (field.type === 'enum' &&
+      (!Array.isArray(field.options) || !field.options.length || field.options.some(o => typeof o !== 'string'))) {
+      return `Enum field ${field.name} needs a list of options`;
+    }
+    if (field.description !== undefined && field.description !== null && typeof field.description !== 'string') {
+      return `Field ${field.name} has an invalid description`;
+    }
+  }
+  return null;
+}
+
+// Function to store only the known properties of each field definition
+function normalizeFieldDefinitions(fields) {
+  return fields.map(field => ({
+    name: field.name.trim(),
+    type: field.type,
+    description: field.description || '',
+    required: Boolean(field.required),
+    ...(field.type === 'enum' ? { options: field.options } : {})
+  }));
+}
+
+// Function to turn plain header names into string fields, keeping existing definitions
+function fieldsFromHeaders(headers, existingFields = []) {
+  return headers.map(name =>
+    existingFields.find(field => field.name === name) ||
+    { name, type: 'string', description: '', required: false }
+  );
+}
+
+function normalizePhone(value) {
+  const phone = parsePhoneNumberFromString(value.replace(/^00/, '+'), DEFAULT_PHONE_COUNTRY);
+  return phone && phone.isValid() ? phone.number : null;
+}
+
+function normalizeNumber(value) {
+  const cleaned = value.replace(/[\s,]/g, '').replace(/^[^\d+\-.]+/, '');
+  return cleaned && Number.isFinite(Number(cleaned)) ? String(Number(cleaned)) : null;
+}
+
+// Dates are stored as YYYY-MM-DD; other formats are read as local dates so the day does not shift
+function normalizeDate(value) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value) ? value : null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Function to validate and normalise an extracted value against its field definition.
+// Returns { status: 'valid' | 'invalid' | 'missing', value, error }; only valid values are exported.
+function normalizeFieldValue(field, rawValue) {
+  const value = rawValue === null || rawValue === undefined ? '' : String(rawValue).trim();
+  if (!value) {
+    return field.required
+      ? { status: 'missing', value: '', error: 'Required value not found in the conversation' }
+      : { status: 'valid', value: '', error: null };
+  }
+
+  let normalized = value;
+  switch (field.type) {
+    case 'email':
+      normalized = EMAIL_PATTERN.test(value) ? value.toLowerCase() : null;
+      break;
+    case 'phone':
+      normalized = normalizePhone(value);
+      break;
+    case 'number':
+      normalized = normalizeNumber(value);
+      break;
+    case 'date':
+      normalized = normalizeDate(value);
+      break;
+    case 'enum':
+      normalized = field.options.find(option => option.toLowerCase() === value.toLowerCase()) || null;
+      break;
+    default:
+      break;
+  }
+
+  if (normalized === null) {
+    return { status: 'invalid', value: '', error: `Not a valid ${field.type}: ${value}` };
+  }
+  return { status: 'valid', value: normalized, error: null };
+}
+
+// Function to decide how a newly extracted result changes a field's stored variable.
+// Returns the values to store, or null to keep the variable as it is. Values the model no longer
+// finds are kept, and an invalid value never replaces a valid one: only its raw text and error are recorded.
+function resolveFieldUpdate(current, result, rawValue) {
+  const raw = rawValue === undefined || rawValue === null ? null : String(rawValue);
+
+  if (current && !result.value && result.status !== 'invalid' && current.variableValue) {
+    return null;
+  }
+  if (current && current.status === 'valid' && current.variableValue && result.status === 'invalid') {
+    if (current.rawValue === raw && current.error === result.error) {
+      return null;
+    }
+    return { rawValue: raw, error: result.error };
+  }
+  if (current && current.variableValue === result.value && current.status === result.status) {
+    return null;
+  }
+  return { variableValue: result.value, rawValue: raw, status: result.status, error: result.error };
+}
+
+function describeField(field) {
+  const details = [`type: ${field.type}`];
+  if (field.type === 'enum') details.push(`one of: ${field.options.join(', ')}`);
+  if (field.type === 'date') details.push('format: YYYY-MM-DD');
+  if (field.type === 'phone') details.push('include the country code if mentioned');
+  if (field.required) details.push('required');
+
+  const hint = field.description ? ` - ${field.description}` : '';
+  return `- "${field.name}" (${details.join('; ')})${hint}`;
+}
+
+// Function to build the system prompt asking the model for the configured fields
+function buildExtractionPrompt(fields) {
+  const names = fields.map(field => field.name);
+  return `Analyze the following chat conversation and extract information for these specific fields:
+${fields.map(describeField).join('\n')}
+Format the response as a JSON object where each key must exactly match one of these field names: ${names.join(', ')}.
+If a field's information is not found in the conversation, set its value to an empty string. Never guess or invent values.
+Only include the specified fields in the response.`;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  validateFieldDefinitions,
+  normalizeFieldDefinitions,
+  fieldsFromHeaders,
+  normalizeFieldValue,
+  resolveFieldUpdate,
+  buildExtractionPrompt
+};
@@ -0,0 +1,150 @@
+const fs = require('fs').promises;
+const path = require('path');
+const pdf = require('pdf-parse');
+const mammoth = require('mammoth');
+const { extractMainContent } = require('./contentExtractor');
+
+// Function to parse CSV text into rows, handling quoted fields
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim()));
+}
+
+async function extractPdf(buffer) {
+  const data = await pdf(buffer);
+  return data.text;
+}
+
+async function extractDocx(buffer) {
+  const result = await mammoth.extractRawText({ buffer });
+  return result.value;
+}
+
+async function extractText(buffer) {
+  return buffer.toString('utf8');
+}
+
+async function extractHtml(buffer) {
+  const { title, content } = extractMainContent(buffer.toString('utf8'));
+  return title ? `Title: ${title}\n${content}` : content;
+}
+
+// CSV rows are written the same way as Google Sheet rows ("header: value, ...")
+async function extractCsv(buffer) {
+  const rows = parseCsv(buffer.toString('utf8'));
+  if (!rows.length) return '';
+
+  const headers = rows[0];
+  return rows.slice(1)
+    .map(row => headers.map((header, index) => `${header}: ${row[index] || ''}`).join(', '))
+    .join('\n');
+}
+
+// PDFs start with %PDF- (some writers put a few bytes before it)
+function looksLikePdf(buffer) {
+  return buffer.subarray(0, 1024).includes('%PDF-');
+}
+
+// DOCX files are ZIP archives holding a word/ folder
+function looksLikeDocx(buffer) {
+  return buffer.subarray(0, 4).equals(Buffer.from('PK\x03\x04', 'binary')) && buffer.includes('word/');
+}
+
+// Text formats must not contain NUL bytes, which only binary files have
+function looksLikeText(buffer) {
+  return !buffer.subarray(0, 8192).includes(0);
+}
+
+// Supported file extensions, the format each one is stored as and a check of the file's content
+const extractors = {
+  '.pdf': { format: 'pdf', extract: extractPdf, matches: looksLikePdf },
+  '.docx': { format: 'docx', extract: extractDocx, matches: looksLikeDocx },
+  '.txt': { format: 'text', extract: extractText, matches: looksLikeText },
+  '.md': { format: 'markdown', extract: extractText, matches: looksLikeText },
+  '.markdown': { format: 'markdown', extract: extractText, matches: looksLikeText },
+  '.html': { format: 'html', extract: extractHtml, matches: looksLikeText },
+  '.htm': { format: 'html', extract: extractHtml, matches: looksLikeText },
+  '.csv': { format: 'csv', extract: extractCsv, matches: looksLikeText }
+};
+
+function getExtractor(filePath) {
+  return extractors[path.extname(filePath).toLowerCase()] || null;
+}
+
+function isSupportedFile(filePath) {
+  return Boolean(getExtractor(filePath));
+}
+
+// Function to check that a file's content matches its extension; returns an error message or null
+function checkFileContent(fileName, buffer) {
+  const extractor = getExtractor(fileName);
+  if (!extractor) {
+    return `Unsupported file type: ${path.extname(fileName) || fileName}`;
+  }
+  if (!extractor.matches(buffer)) {
+    return `File content is not a valid ${extractor.format} file`;
+  }
+  return null;
+}
+
+// Function to extract the plain text of a knowledge file based on its extension
+async function extractFileContent(filePath) {
+  const extractor = getExtractor(filePath);
+  if (!extractor) {
+    throw new Error(`Unsupported file type: ${path.extname(filePath) || filePath}`);
+  }
+
+  const buffer = await fs.readFile(filePath);
+  const contentError = checkFileContent(filePath, buffer);
+  if (contentError) {
+    throw new Error(contentError);
+  }
+  const content = await extractor.extract(buffer);
+  return {
+    format: extractor.format,
+    content: content || ''
+  };
+}
+
+module.exports = {
+  parseCsv,
+  isSupportedFile,
+  checkFileContent,
+  extractFileContent,
+  supportedExtensions: Object.keys(extractors)
+};
@@ -0,0 +1,24 @@
+const { google } = require('googleapis');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Google Sheets configuration
+const credentials = JSON.parse(process.env.GOOGLE_SHEETS_CREDENTIALS);
+const auth = new google.auth.GoogleAuth({
+  credentials,
+  scopes: [
+    'https://www.googleapis.com/auth/spreadsheets',
+    'https://www.googleapis.com/auth/drive.file',
+    // Needed to read modifiedTime of sheets shared with the service account
+    'https://www.googleapis.com/auth/drive.metadata.readonly'
+  ],
+});
+
+const sheets = google.sheets({ version: 'v4', auth });
+const drive = google.drive({ version: 'v3', auth });
+
+module.exports = {
+  sheets,
+  drive
+};
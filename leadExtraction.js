@@ -0,0 +1,155 @@
+const { EventEmitter } = require('events');
+const { Message, ChatVariable } = require('./db-setup');
+const { getSessionBot } = require('./chatSessions');
+const { normalizeFieldValue, resolveFieldUpdate, buildExtractionPrompt } = require('./extractionSchema');
+const { getModelSettings, completeChat } = require('./llmProvider');
+
+const EXTRACTION_DEBOUNCE = parseInt(process.env.EXTRACTION_DEBOUNCE_MS, 10) || 5000;
+
+// Emits 'leadUpdated' ({ sessionId, bot, lead, changed }) when a field of a lead fills in or changes
+const leadEvents = new EventEmitter();
+
+// Debounce timers and in-flight runs per session, so runs for one session never overlap
+const scheduledExtractions = new Map();
+const runningExtractions = new Map();
+
+// Function to format a session's current variables as { fieldName: { value, status, ... } }
+function formatLead(variables) {
+  return Object.fromEntries(variables.map(variable => [variable.variableName, {
+    value: variable.variableValue,
+    status: variable.status,
+    error: variable.error,
+    sourceMessageId: variable.sourceMessageId,
+    updatedAt: variable.timestamp
+  }]));
+}
+
+async function getLead(sessionId) {
+  const variables = await ChatVariable.findAll({ where: { sessionId } });
+  return formatLead(variables);
+}
+
+async function extractLead(sessionId) {
+  // Get the session's bot for the extraction fields
+  const bot = await getSessionBot(sessionId);
+  const fields = bot?.extractionFields || [];
+
+  if (!fields.length) {
+    return {};
+  }
+
+  // Get all messages for the session
+  const messages = await Message.findAll({
+    where: { sessionId },
+    order: [['timestamp', 'ASC']]
+  });
+  const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+  if (!lastUserMessage) {
+    return getLead(sessionId);
+  }
+
+  // Combine all messages into a single text
+  const chatText = messages.map(m => `${m.role}: ${m.content}`).join('\n');
+
+  // Use the bot's extraction model to analyze the chat and extract variables
+  const content = await completeChat(getModelSettings(bot, 'extraction'), [
+    {
+      role: "system",
+      content: buildExtractionPrompt(fields)
+    },
+    {
+      role: "user",
+      content: chatText
+    }
+  ], { json: true });
+
+  const extractedVariables = JSON.parse(content);
+  // Only field names are logged; the values are the customer's personal data
+  console.log(`Extracted fields for session ${sessionId}:`, Object.keys(extractedVariables).join(', '));
+
+  const existing = await ChatVariable.findAll({ where: { sessionId } });
+  const existingByName = Object.fromEntries(existing.map(variable => [variable.variableName, variable]));
+
+  // Keep one current value per field; new values record the latest user message as their source
+  const changed = [];
+  for (const field of fields) {
+    const rawValue = extractedVariables[field.name];
+    const result = normalizeFieldValue(field, rawValue);
+    const current = existingByName[field.name];
+
+    const update = resolveFieldUpdate(current, result, rawValue);
+    if (!update) {
+      continue;
+    }
+    if (result.status !== 'valid') {
+      console.log(`Field "${field.name}" flagged as ${result.status} for session ${sessionId}`);
+    }
+    // A rejected value next to a valid one only records what was rejected
+    if (update.variableValue === undefined) {
+      await current.update(update);
+      continue;
+    }
+
+    const values = {
+      ...update,
+      sourceMessageId: lastUserMessage.id,
+      timestamp: new Date()
+    };
+    if (current) {
+      await current.update(values);
+    } else {
+      existingByName[field.name] = await ChatVariable.create({ sessionId, variableName: field.name, ...values });
+    }
+
+    if (result.status === 'valid' && result.value) {
+      changed.push(field.name);
+    }
+  }
+
+  const lead = formatLead(Object.values(existingByName));
+  if (changed.length) {
+    leadEvents.emit('leadUpdated', { sessionId, bot, lead, changed });
+  }
+  return lead;
+}
+
+// Function to analyze a session's messages and update its lead variables.
+// Waits for a run already in progress for the same session.
+async function analyzeChatForVariables(sessionId) {
+  const previous = runningExtractions.get(sessionId) || Promise.resolve();
+  const run = previous.catch(() => {}).then(() => extractLead(sessionId));
+  runningExtractions.set(sessionId, run);
+
+  try {
+    return await run;
+  } catch (error) {
+    console.error('Error analyzing chat for variables:', error);
+    throw error;
+  } finally {
+    if (runningExtractions.get(sessionId) === run) {
+      runningExtractions.delete(sessionId);
+    }
+  }
+}
+
+// Function to extract lead variables shortly after a user turn; new turns restart the wait
+function scheduleExtraction(sessionId) {
+  clearTimeout(scheduledExtractions.get(sessionId));
+  scheduledExtractions.set(sessionId, setTimeout(() => {
+    scheduledExtractions.delete(sessionId);
+    analyzeChatForVariables(sessionId).catch(() => {});
+  }, EXTRACTION_DEBOUNCE));
+}
+
+function cancelScheduledExtraction(sessionId) {
+  clearTimeout(scheduledExtractions.get(sessionId));
+  scheduledExtractions.delete(sessionId);
+}
+
+module.exports = {
+  leadEvents,
+  getLead,
+  analyzeChatForVariables,
+  scheduleExtraction,
+  cancelScheduledExtraction
+};
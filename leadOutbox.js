@@ -0,0 +1,196 @@
+const { Op } = require('sequelize');
+const { sequelize, Bot, LeadExport } = require('./db-setup');
+const { getBotSinks, buildLeadRecord, sendToSink } = require('./exportSinks');
+
+// Failed deliveries are retried with exponential backoff, then dead-lettered
+const MAX_ATTEMPTS = parseInt(process.env.LEAD_EXPORT_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_DELAY = parseInt(process.env.LEAD_EXPORT_RETRY_BASE_MS, 10) || 30000;
+const RETRY_MAX_DELAY = parseInt(process.env.LEAD_EXPORT_RETRY_MAX_MS, 10) || 60 * 60 * 1000;
+
+// A claimed delivery is tried again after this long if the server stops while delivering it
+const DELIVERY_LEASE = 5 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+const EXPORT_STATUSES = ['pending', 'delivered', 'dead', 'discarded'];
+
+// Function to add one outbox entry per enabled sink of the bot; the lead is stored as exported now.
+// A revision (e.g. the time of the lead's last change) marks a re-export with its own idempotency keys.
+async function enqueueLeadExport(bot, sessionId, lead, revision = null) {
+  const sinks = getBotSinks(bot).filter(sink => sink.enabled);
+  if (!sinks.length) {
+    console.log('No export sinks configured for bot:', bot.key);
+    return [];
+  }
+
+  const rows = sinks.map(sink => {
+    const idempotencyKey = revision ? `${sessionId}:${sink.id}:${revision}` : `${sessionId}:${sink.id}`;
+    return {
+      botId: bot.id,
+      sessionId,
+      sinkId: sink.id,
+      sinkType: sink.type,
+      sinkName: sink.name,
+      idempotencyKey,
+      record: { ...buildLeadRecord(sink, bot, sessionId, lead), idempotencyKey },
+      nextAttemptAt: new Date()
+    };
+  });
+  // A lead is queued once per sink and revision, even if it is exported twice
+  return LeadExport.bulkCreate(rows, { ignoreDuplicates: true });
+}
+
+function retryDelay(attempts) {
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+  // Up to 20% jitter so deliveries that failed together do not retry together
+  return delay + Math.floor(Math.random() * delay * 0.2);
+}
+
+// Function to claim due deliveries; other servers skip the rows locked here
+async function claimDueExports() {
+  return sequelize.transaction(async (transaction) => {
+    const leadExports = await LeadExport.findAll({
+      where: { status: 'pending', nextAttemptAt: { [Op.lte]: new Date() } },
+      order: [['nextAttemptAt', 'ASC']],
+      limit: BATCH_SIZE,
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true,
+      transaction
+    });
+    if (leadExports.length) {
+      await LeadExport.update(
+        { nextAttemptAt: new Date(Date.now() + DELIVERY_LEASE) },
+        { where: { id: leadExports.map(leadExport => leadExport.id) }, transaction }
+      );
+    }
+    return leadExports;
+  });
+}
+
+// Function to deliver one outbox entry with the sink's current settings and record the outcome
+async function deliverExport(leadExport) {
+  const bot = await Bot.findByPk(leadExport.botId);
+  const sink = bot && getBotSinks(bot).find(item => item.id === leadExport.sinkId);
+  leadExport.attempts += 1;
+
+  if (!sink || !sink.enabled) {
+    leadExport.status = 'dead';
+    leadExport.lastError = 'Export sink was removed or disabled';
+  } else {
+    try {
+      await sendToSink(sink, leadExport.record);
+      leadExport.status = 'delivered';
+      leadExport.deliveredAt = new Date();
+      leadExport.lastError = null;
+      console.log(`Lead for session ${leadExport.sessionId} exported to ${sink.type} sink "${sink.name}"`);
+    } catch (error) {
+      leadExport.lastError = error.message;
+      if (leadExport.attempts >= MAX_ATTEMPTS) {
+        leadExport.status = 'dead';
+      } else {
+        leadExport.nextAttemptAt = new Date(Date.now() + retryDelay(leadExport.attempts));
+      }
+      console.error(`Error exporting lead to ${sink.type} sink "${sink.name}" (attempt ${leadExport.attempts}):`, error.message);
+    }
+  }
+
+  if (leadExport.status === 'dead') {
+    console.error(`Lead export ${leadExport.id} dead-lettered: ${leadExport.lastError}`);
+  }
+  await leadExport.save();
+}
+
+let processing = false;
+let processAgain = false;
+
+// Function to deliver every due outbox entry; a call while a run is busy starts another run after it
+async function processOutbox() {
+  if (processing) {
+    processAgain = true;
+    return;
+  }
+
+  processing = true;
+  try {
+    do {
+      processAgain = false;
+      let batch;
+      do {
+        batch = await claimDueExports();
+        for (const leadExport of batch) {
+          await deliverExport(leadExport);
+        }
+      } while (batch.length === BATCH_SIZE);
+    } while (processAgain);
+  } catch (error) {
+    console.error('Error processing lead export outbox:', error);
+  } finally {
+    processing = false;
+  }
+}
+
+async function getLeadExport(botId, id) {
+  return LeadExport.findOne({ where: { id, botId } });
+}
+
+// Function to list a bot's outbox entries, newest first, with the number of entries per status
+async function listLeadExports(botId, { status, limit = 100 } = {}) {
+  const where = { botId };
+  if (status) {
+    where.status = status;
+  }
+
+  const [leadExports, counts] = await Promise.all([
+    LeadExport.findAll({ where, order: [['createdAt', 'DESC']], limit }),
+    LeadExport.count({ where: { botId }, group: ['status'] })
+  ]);
+  return {
+    leadExports,
+    counts: Object.fromEntries(EXPORT_STATUSES.map(item =>
+      [item, Number(counts.find(count => count.status === item)?.count || 0)]
+    ))
+  };
+}
+
+// Function to queue a failed or discarded delivery again with a fresh set of attempts
+async function retryLeadExport(leadExport) {
+  leadExport.status = 'pending';
+  leadExport.attempts = 0;
+  leadExport.nextAttemptAt = new Date();
+  await leadExport.save();
+  processOutbox();
+  return leadExport;
+}
+
+// Function to give up on a delivery; it stays listed as discarded
+async function discardLeadExport(leadExport) {
+  leadExport.status = 'discarded';
+  await leadExport.save();
+  return leadExport;
+}
+
+// Function to format an outbox entry for the admin API
+function formatLeadExport(leadExport) {
+  return {
+    id: leadExport.id,
+    sessionId: leadExport.sessionId,
+    sink: { id: leadExport.sinkId, type: leadExport.sinkType, name: leadExport.sinkName },
+    status: leadExport.status,
+    attempts: leadExport.attempts,
+    nextAttemptAt: leadExport.status === 'pending' ? leadExport.nextAttemptAt : null,
+    lastError: leadExport.lastError,
+    deliveredAt: leadExport.deliveredAt,
+    createdAt: leadExport.createdAt,
+    record: leadExport.record
+  };
+}
+
+module.exports = {
+  EXPORT_STATUSES,
+  enqueueLeadExport,
+  processOutbox,
+  getLeadExport,
+  listLeadExports,
+  retryLeadExport,
+  discardLeadExport,
+  formatLeadExport
+};
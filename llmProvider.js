@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { OpenAI, AzureOpenAI } = require('openai');
+
+// Provider connections come from the environment; bots only pick a provider and model settings.
+//   openai            OPENAI_API_KEY
+//   azure             AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, AZURE_OPENAI_API_VERSION (model = deployment name)
+//   openai-compatible LLM_COMPATIBLE_BASE_URL, LLM_COMPATIBLE_API_KEY (e.g. a self-hosted model server)
+//   fake              deterministic replies without any network call, for offline runs and tests
+const PROVIDERS = ['openai', 'azure', 'openai-compatible', 'fake'];
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+
+// Settings used for anything a bot does not configure, per step
+const MODEL_DEFAULTS = {
+  chat: {
+    provider: DEFAULT_PROVIDER,
+    model: process.env.LLM_CHAT_MODEL || 'gpt-4o',
+    temperature: null,
+    maxTokens: null,
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60000
+  },
+  extraction: {
+    provider: DEFAULT_PROVIDER,
+    model: process.env.LLM_EXTRACTION_MODEL || 'gpt-4o',
+    temperature: null,
+    maxTokens: null,
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60000
+  },
+  // Rolling summary of long conversations, see contextBuilder.js
+  summary: {
+    provider: DEFAULT_PROVIDER,
+    model: process.env.LLM_SUMMARY_MODEL || 'gpt-4o',
+    temperature: null,
+    maxTokens: null,
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60000
+  }
+};
+
+const MODEL_STEPS = Object.keys(MODEL_DEFAULTS);
+
+// Knowledge base embeddings use one provider and model for every bot (EMBEDDING_PROVIDER, EMBEDDING_MODEL):
+// stored chunks can only be compared with questions embedded by the same model, so changing them needs a re-index
+const EMBEDDING_SETTINGS = {
+  provider: process.env.EMBEDDING_PROVIDER || DEFAULT_PROVIDER,
+  model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60000
+};
+const EMBEDDING_BATCH_SIZE = 100;
+// Length of the fake provider's embeddings
+const FAKE_EMBEDDING_DIMENSIONS = 64;
+
+// Clients are created on first use, so unused providers need no configuration
+const clients = new Map();
+
+function getClient(provider) {
+  if (!clients.has(provider)) {
+    switch (provider) {
+      case 'openai':
+        clients.set(provider, new OpenAI({ apiKey: process.env.OPENAI_API_KEY }));
+        break;
+      case 'azure':
+        clients.set(provider, new AzureOpenAI({
+          endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+          apiKey: process.env.AZURE_OPENAI_API_KEY,
+          apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+        }));
+        break;
+      case 'openai-compatible':
+        if (!process.env.LLM_COMPATIBLE_BASE_URL) {
+          throw new Error('LLM_COMPATIBLE_BASE_URL is not set');
+        }
+        clients.set(provider, new OpenAI({
+          baseURL: process.env.LLM_COMPATIBLE_BASE_URL,
+          // Most local servers ignore the key, but the client requires one
+          apiKey: process.env.LLM_COMPATIBLE_API_KEY || 'not-needed'
+        }));
+        break;
+      default:
+        throw new Error(`Unknown LLM provider: ${provider}`);
+    }
+  }
+  return clients.get(provider);
+}
+
+// Function to get a bot's settings for one step ('chat', 'extraction' or 'summary')
+function getModelSettings(bot, step) {
+  return { ...MODEL_DEFAULTS[step], ...((bot && bot.modelSettings && bot.modelSettings[step]) || {}) };
+}
+
+// Function to check model settings ({ chat: {...}, extraction: {...}, summary: {...} }); returns an error message or null
+function validateModelSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'Model settings must be an object';
+  }
+  for (const [step, stepSettings] of Object.entries(settings)) {
+    if (!MODEL_STEPS.includes(step)) {
+      return `Unknown step ${step}; allowed: ${MODEL_STEPS.join(', ')}`;
+    }
+    if (!stepSettings || typeof stepSettings !== 'object' || Array.isArray(stepSettings)) {
+      return `${step} settings must be an object`;
+    }
+    const { provider, model, temperature, maxTokens, timeoutMs } = stepSettings;
+    if (provider !== undefined && !PROVIDERS.includes(provider)) {
+      return `${step}.provider must be one of: ${PROVIDERS.join(', ')}`;
+    }
+    if (model !== undefined && (typeof model !== 'string' || !model.trim())) {
+      return `${step}.model must be a model name`;
+    }
+    if (temperature !== undefined && temperature !== null &&
+      (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+      return `${step}.temperature must be a number from 0 to 2`;
+    }
+    if (maxTokens !== undefined && maxTokens !== null && (!Number.isInteger(maxTokens) || maxTokens < 1)) {
+      return `${step}.maxTokens must be a whole number of at least 1`;
+    }
+    if (timeoutMs !== undefined && (!Number.isInteger(timeoutMs) || timeoutMs < 1000)) {
+      return `${step}.timeoutMs must be a whole number of at least 1000`;
+    }
+  }
+  return null;
+}
+
+// Function to store only the known settings, merged over the current ones
+function normalizeModelSettings(settings, current = {}) {
+  return Object.fromEntries(MODEL_STEPS.map(step => {
+    const merged = { ...(current[step] || {}), ...(settings[step] || {}) };
+    const stored = {};
+    for (const key of Object.keys(MODEL_DEFAULTS[step])) {
+      if (merged[key] !== undefined) stored[key] = merged[key];
+    }
+    return [step, stored];
+  }));
+}
+
+function buildRequest(settings, messages, extra) {
+  const request = { model: settings.model, messages, ...extra };
+  if (settings.temperature !== null && settings.temperature !== undefined) {
+    request.temperature = settings.temperature;
+  }
+  if (settings.maxTokens) {
+    request.max_tokens = settings.maxTokens;
+  }
+  return request;
+}
+
+// The fake provider answers with the last user message, or an empty JSON object in JSON mode
+function fakeReply(messages, json) {
+  if (json) return '{}';
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+  return `Fake reply to: ${lastUser ? lastUser.content : ''}`;
+}
+
+// The fake provider embeds a text as counts of its hashed words, so texts sharing words are similar
+function fakeEmbedding(text) {
+  const embedding = new Array(FAKE_EMBEDDING_DIMENSIONS).fill(0);
+  for (const word of String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    embedding[crypto.createHash('md5').update(word).digest().readUInt32BE(0) % FAKE_EMBEDDING_DIMENSIONS] += 1;
+  }
+  return embedding;
+}
+
+// Function to embed a list of texts, in batches, with the embedding provider
+async function embedTexts(texts, settings = EMBEDDING_SETTINGS) {
+  if (settings.provider === 'fake') {
+    return texts.map(fakeEmbedding);
+  }
+
+  const embeddings = [];
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    const response = await getClient(settings.provider).embeddings.create(
+      { model: settings.model, input: texts.slice(i, i + EMBEDDING_BATCH_SIZE) },
+      { timeout: settings.timeoutMs }
+    );
+    response.data
+      .sort((a, b) => a.index - b.index)
+      .forEach(item => embeddings.push(item.embedding));
+  }
+  return embeddings;
+}
+
+// Function to get a complete reply. With json: true the model is asked for a JSON object.
+async function completeChat(settings, messages, { json = false, signal } = {}) {
+  if (settings.provider === 'fake') {
+    return fakeReply(messages, json);
+  }
+
+  const completion = await getClient(settings.provider).chat.completions.create(
+    buildRequest(settings, messages, json ? { response_format: { type: 'json_object' } } : {}),
+    { signal, timeout: settings.timeoutMs }
+  );
+  return completion.choices[0]?.message?.content || '';
+}
+
+// Function to stream a reply as text deltas
+async function* streamChat(settings, messages, { signal } = {}) {
+  if (settings.provider === 'fake') {
+    // Word by word, like a real stream
+    for (const word of fakeReply(messages, false).split(/(?<= )/)) {
+      if (signal?.aborted) throw new Error('Request was aborted.');
+      yield word;
+    }
+    return;
+  }
+
+  const stream = await getClient(settings.provider).chat.completions.create(
+    buildRequest(settings, messages, { stream: true }),
+    { signal, timeout: settings.timeoutMs }
+  );
+  for await (const chunk of stream) {
+    const delta = chunk.choices[0]?.delta?.content;
+    if (delta) yield delta;
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  MODEL_STEPS,
+  getModelSettings,
+  validateModelSettings,
+  normalizeModelSettings,
+  completeChat,
+  streamChat,
+  embedTexts
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('PdfContents', 'format', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: 'pdf'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('PdfContents', 'format');
+  }
+};
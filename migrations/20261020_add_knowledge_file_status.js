@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('PdfContents', 'status', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: 'ready'
+    });
+
+    await queryInterface.addColumn('PdfContents', 'error', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    await queryInterface.changeColumn('PdfContents', 'content', {
+      type: Sequelize.TEXT,
+      allowNull: false,
+      defaultValue: ''
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('PdfContents', 'status');
+    await queryInterface.removeColumn('PdfContents', 'error');
+  }
+};
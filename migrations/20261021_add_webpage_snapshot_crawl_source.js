@@ -0,0 +1,14 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('WebpageSnapshots', 'crawlSourceId', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('WebpageSnapshots', 'crawlSourceId');
+  }
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('GlobalSettings', 'knowledgeBaseUrlSelectors', {
+      type: Sequelize.JSONB,
+      defaultValue: {}
+    });
+
+    await queryInterface.addColumn('WebpageSnapshots', 'description', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('WebpageSnapshots', 'extractionKey', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('CrawlSources', 'includeSelectors', {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      defaultValue: []
+    });
+
+    await queryInterface.addColumn('CrawlSources', 'excludeSelectors', {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      defaultValue: []
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('GlobalSettings', 'knowledgeBaseUrlSelectors');
+    await queryInterface.removeColumn('WebpageSnapshots', 'description');
+    await queryInterface.removeColumn('WebpageSnapshots', 'extractionKey');
+    await queryInterface.removeColumn('CrawlSources', 'includeSelectors');
+    await queryInterface.removeColumn('CrawlSources', 'excludeSelectors');
+  }
+};
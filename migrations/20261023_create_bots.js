@@ -0,0 +1,124 @@
+'use strict';
+
+// Moves the single GlobalSettings row into a default bot and scopes sessions,
+// knowledge chunks, webpage snapshots and crawl sources by bot.
+// The server's sync() may already have created the Bots table, so each step
+// checks what exists first.
+
+async function addColumnIfMissing(queryInterface, table, column, definition) {
+  const description = await queryInterface.describeTable(table);
+  if (!description[column]) {
+    await queryInterface.addColumn(table, column, definition);
+  }
+}
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const { sequelize } = queryInterface;
+    const tables = await queryInterface.showAllTables();
+
+    if (!tables.includes('Bots')) {
+      await queryInterface.createTable('Bots', {
+        id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+        key: { type: Sequelize.STRING, allowNull: false, unique: true },
+        name: { type: Sequelize.STRING, allowNull: false },
+        prompt: { type: Sequelize.TEXT, defaultValue: 'You are a helpful assistant.' },
+        knowledgeBaseSheetIds: { type: Sequelize.ARRAY(Sequelize.STRING), defaultValue: [] },
+        knowledgeBaseUrls: { type: Sequelize.ARRAY(Sequelize.STRING), defaultValue: [] },
+        knowledgeBaseUrlSelectors: { type: Sequelize.JSONB, defaultValue: {} },
+        knowledgeBasePdfPaths: { type: Sequelize.ARRAY(Sequelize.STRING), defaultValue: [] },
+        extractionHeaders: { type: Sequelize.ARRAY(Sequelize.STRING), defaultValue: [] },
+        targetSpreadsheetId: { type: Sequelize.STRING, allowNull: true },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      });
+    }
+
+    // Copy the global settings into the default bot
+    const [settingsRows] = tables.includes('GlobalSettings')
+      ? await sequelize.query('SELECT * FROM "GlobalSettings" WHERE id = 1')
+      : [[]];
+    const settings = settingsRows[0] || {};
+    const values = {
+      prompt: settings.prompt || 'You are a helpful assistant.',
+      knowledgeBaseSheetIds: settings.knowledgeBaseSheetIds || [],
+      knowledgeBaseUrls: settings.knowledgeBaseUrls || [],
+      knowledgeBaseUrlSelectors: JSON.stringify(settings.knowledgeBaseUrlSelectors || {}),
+      knowledgeBasePdfPaths: settings.knowledgeBasePdfPaths || [],
+      extractionHeaders: settings.extractionHeaders || [],
+      targetSpreadsheetId: settings.targetSpreadsheetId || null
+    };
+
+    const [existingBots] = await sequelize.query(`SELECT id FROM "Bots" WHERE key = 'default'`);
+    let defaultBotId;
+    if (existingBots.length) {
+      defaultBotId = existingBots[0].id;
+      if (settingsRows.length) {
+        await sequelize.query(`
+          UPDATE "Bots" SET
+            prompt = :prompt,
+            "knowledgeBaseSheetIds" = ARRAY[:knowledgeBaseSheetIds]::VARCHAR[],
+            "knowledgeBaseUrls" = ARRAY[:knowledgeBaseUrls]::VARCHAR[],
+            "knowledgeBaseUrlSelectors" = :knowledgeBaseUrlSelectors::JSONB,
+            "knowledgeBasePdfPaths" = ARRAY[:knowledgeBasePdfPaths]::VARCHAR[],
+            "extractionHeaders" = ARRAY[:extractionHeaders]::VARCHAR[],
+            "targetSpreadsheetId" = :targetSpreadsheetId,
+            "updatedAt" = NOW()
+          WHERE id = :id
+        `, { replacements: { ...values, id: defaultBotId } });
+      }
+    } else {
+      const [inserted] = await sequelize.query(`
+        INSERT INTO "Bots" (key, name, prompt, "knowledgeBaseSheetIds", "knowledgeBaseUrls",
+          "knowledgeBaseUrlSelectors", "knowledgeBasePdfPaths", "extractionHeaders",
+          "targetSpreadsheetId", "createdAt", "updatedAt")
+        VALUES ('default', 'Default bot', :prompt, ARRAY[:knowledgeBaseSheetIds]::VARCHAR[],
+          ARRAY[:knowledgeBaseUrls]::VARCHAR[], :knowledgeBaseUrlSelectors::JSONB,
+          ARRAY[:knowledgeBasePdfPaths]::VARCHAR[], ARRAY[:extractionHeaders]::VARCHAR[],
+          :targetSpreadsheetId, NOW(), NOW())
+        RETURNING id
+      `, { replacements: values });
+      defaultBotId = inserted[0].id;
+    }
+
+    // Existing sessions, chunks and crawls belong to the default bot
+    for (const table of ['ChatSessions', 'KnowledgeChunks', 'CrawlSources']) {
+      if (!tables.includes(table)) continue;
+      await addColumnIfMissing(queryInterface, table, 'botId', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      });
+      await sequelize.query(`UPDATE "${table}" SET "botId" = :botId WHERE "botId" IS NULL`, {
+        replacements: { botId: defaultBotId }
+      });
+    }
+
+    // Webpage snapshots get a surrogate key so the same URL can be cached per bot
+    if (tables.includes('WebpageSnapshots')) {
+      const description = await queryInterface.describeTable('WebpageSnapshots');
+      if (!description.botId) {
+        await sequelize.query('ALTER TABLE "WebpageSnapshots" DROP CONSTRAINT IF EXISTS "WebpageSnapshots_pkey"');
+        await sequelize.query('ALTER TABLE "WebpageSnapshots" ADD COLUMN id SERIAL PRIMARY KEY');
+        await queryInterface.addColumn('WebpageSnapshots', 'botId', {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        });
+        await sequelize.query('UPDATE "WebpageSnapshots" SET "botId" = :botId', {
+          replacements: { botId: defaultBotId }
+        });
+        await queryInterface.addIndex('WebpageSnapshots', ['botId', 'url'], { unique: true });
+      }
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('WebpageSnapshots', ['botId', 'url']);
+    await queryInterface.removeColumn('WebpageSnapshots', 'botId');
+    await queryInterface.removeColumn('WebpageSnapshots', 'id');
+    await queryInterface.sequelize.query('ALTER TABLE "WebpageSnapshots" ADD PRIMARY KEY (url)');
+    await queryInterface.removeColumn('CrawlSources', 'botId');
+    await queryInterface.removeColumn('KnowledgeChunks', 'botId');
+    await queryInterface.removeColumn('ChatSessions', 'botId');
+    await queryInterface.dropTable('Bots');
+  }
+};
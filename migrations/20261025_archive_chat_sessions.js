@@ -0,0 +1,34 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('ChatSessions', 'status', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: 'active'
+    });
+
+    await queryInterface.addColumn('ChatSessions', 'endedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('ChatSessions', 'endReason', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('ChatSessions', 'messageCount', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('ChatSessions', 'status');
+    await queryInterface.removeColumn('ChatSessions', 'endedAt');
+    await queryInterface.removeColumn('ChatSessions', 'endReason');
+    await queryInterface.removeColumn('ChatSessions', 'messageCount');
+  }
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+// The server's sync() may already have created the tables from the models, so each step
+// checks what exists first.
+
+async function addIndexIfMissing(queryInterface, table, fields, options = {}) {
+  const indexes = await queryInterface.showIndex(table);
+  const exists = indexes.some(index =>
+    index.fields.map(field => field.attribute).join(',') === fields.join(',')
+  );
+  if (!exists) {
+    await queryInterface.addIndex(table, fields, options);
+  }
+}
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+
+    if (!tables.includes('AdminApiKeys')) {
+      await queryInterface.createTable('AdminApiKeys', {
+        id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+        name: { type: Sequelize.STRING, allowNull: false },
+        keyHash: { type: Sequelize.STRING, allowNull: false, unique: true },
+        keyPrefix: { type: Sequelize.STRING, allowNull: false },
+        role: { type: Sequelize.STRING, allowNull: false, defaultValue: 'viewer' },
+        lastUsedAt: { type: Sequelize.DATE, allowNull: true },
+        revokedAt: { type: Sequelize.DATE, allowNull: true },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      });
+    }
+
+    if (!tables.includes('AuditLogs')) {
+      await queryInterface.createTable('AuditLogs', {
+        id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+        actor: { type: Sequelize.STRING, allowNull: false },
+        apiKeyId: { type: Sequelize.INTEGER, allowNull: true },
+        role: { type: Sequelize.STRING, allowNull: false },
+        botId: { type: Sequelize.INTEGER, allowNull: true },
+        method: { type: Sequelize.STRING, allowNull: false },
+        path: { type: Sequelize.TEXT, allowNull: false },
+        statusCode: { type: Sequelize.INTEGER, allowNull: false },
+        changes: { type: Sequelize.JSONB, allowNull: true },
+        createdAt: { type: Sequelize.DATE, allowNull: false }
+      });
+    }
+    await addIndexIfMissing(queryInterface, 'AuditLogs', ['createdAt']);
+    await addIndexIfMissing(queryInterface, 'AuditLogs', ['botId']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('AuditLogs');
+    await queryInterface.dropTable('AdminApiKeys');
+  }
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+// Adds numbered prompt versions; each bot's current prompt becomes its version 1.
+// The server's sync() may already have created the table and columns from the models,
+// so each step checks what exists first.
+
+async function addColumnIfMissing(queryInterface, table, column, definition) {
+  const description = await queryInterface.describeTable(table);
+  if (!description[column]) {
+    await queryInterface.addColumn(table, column, definition);
+  }
+}
+
+async function addIndexIfMissing(queryInterface, table, fields, options = {}) {
+  const indexes = await queryInterface.showIndex(table);
+  const exists = indexes.some(index =>
+    index.fields.map(field => field.attribute).join(',') === fields.join(',')
+  );
+  if (!exists) {
+    await queryInterface.addIndex(table, fields, options);
+  }
+}
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+
+    if (!tables.includes('PromptVersions')) {
+      await queryInterface.createTable('PromptVersions', {
+        id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+        botId: { type: Sequelize.INTEGER, allowNull: false },
+        version: { type: Sequelize.INTEGER, allowNull: false },
+        prompt: { type: Sequelize.TEXT, allowNull: false },
+        author: { type: Sequelize.STRING, allowNull: false },
+        note: { type: Sequelize.TEXT, allowNull: true },
+        createdAt: { type: Sequelize.DATE, allowNull: false }
+      });
+    }
+    await addIndexIfMissing(queryInterface, 'PromptVersions', ['botId', 'version'], { unique: true });
+
+    await addColumnIfMissing(queryInterface, 'Bots', 'activePromptVersion', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await addColumnIfMissing(queryInterface, 'Messages', 'promptVersion', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    // Bots that have no version yet (e.g. when the server already saved some) get their prompt as version 1
+    await queryInterface.sequelize.query(`
+      INSERT INTO "PromptVersions" ("botId", version, prompt, author, note, "createdAt")
+      SELECT id, 1, COALESCE(prompt, ''), 'migration', 'Prompt before versioning', NOW()
+      FROM "Bots"
+      WHERE NOT EXISTS (SELECT 1 FROM "PromptVersions" WHERE "PromptVersions"."botId" = "Bots".id)
+    `);
+    await queryInterface.sequelize.query('UPDATE "Bots" SET "activePromptVersion" = 1 WHERE "activePromptVersion" IS NULL');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('Messages', 'promptVersion');
+    await queryInterface.removeColumn('Bots', 'activePromptVersion');
+    await queryInterface.dropTable('PromptVersions');
+  }
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+// Adds typed extraction fields; existing headers become optional string fields
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Bots', 'extractionFields', {
+      type: Sequelize.JSONB,
+      defaultValue: []
+    });
+    await queryInterface.sequelize.query(`
+      UPDATE "Bots" SET "extractionFields" = COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+          'name', header, 'type', 'string', 'description', '', 'required', false
+        ) ORDER BY position)
+        FROM unnest("extractionHeaders") WITH ORDINALITY AS h(header, position)
+      ), '[]'::jsonb)
+    `);
+
+    await queryInterface.addColumn('ChatVariables', 'status', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: 'valid'
+    });
+    await queryInterface.addColumn('ChatVariables', 'rawValue', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+    await queryInterface.addColumn('ChatVariables', 'error', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('ChatVariables', 'error');
+    await queryInterface.removeColumn('ChatVariables', 'rawValue');
+    await queryInterface.removeColumn('ChatVariables', 'status');
+    await queryInterface.removeColumn('Bots', 'extractionFields');
+  }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+// Keeps only the latest value of each variable per session and records its source message
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DELETE FROM "ChatVariables" older
+      USING "ChatVariables" newer
+      WHERE older."sessionId" = newer."sessionId"
+        AND older."variableName" = newer."variableName"
+        AND older.id < newer.id
+    `);
+
+    await queryInterface.addColumn('ChatVariables', 'sourceMessageId', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addIndex('ChatVariables', ['sessionId', 'variableName'], { unique: true });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('ChatVariables', ['sessionId', 'variableName']);
+    await queryInterface.removeColumn('ChatVariables', 'sourceMessageId');
+  }
+};
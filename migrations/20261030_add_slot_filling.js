@@ -0,0 +1,41 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Bots', 'slotFilling', {
+      type: Sequelize.JSONB,
+      defaultValue: { enabled: false }
+    });
+
+    await queryInterface.addColumn('ChatSessions', 'slotAskCount', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('ChatSessions', 'lastSlotAskTurn', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('ChatSessions', 'leadCompletedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('ChatSessions', 'leadExportedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Sessions closed before this migration have already been exported
+    await queryInterface.sequelize.query(`
+      UPDATE "ChatSessions" SET "leadExportedAt" = "endedAt" WHERE "status" = 'closed'
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('ChatSessions', 'leadExportedAt');
+    await queryInterface.removeColumn('ChatSessions', 'leadCompletedAt');
+    await queryInterface.removeColumn('ChatSessions', 'lastSlotAskTurn');
+    await queryInterface.removeColumn('ChatSessions', 'slotAskCount');
+    await queryInterface.removeColumn('Bots', 'slotFilling');
+  }
+};
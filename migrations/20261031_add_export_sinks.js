@@ -0,0 +1,15 @@
+'use strict';
+
+// Adds export sinks; a bot's targetSpreadsheetId keeps working as a Sheets sink
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Bots', 'exportSinks', {
+      type: Sequelize.JSONB,
+      defaultValue: []
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('Bots', 'exportSinks');
+  }
+};
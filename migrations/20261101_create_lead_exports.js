@@ -0,0 +1,46 @@
+'use strict';
+
+// The server's sync() may already have created the table from its model, so each step
+// checks what exists first.
+
+async function addIndexIfMissing(queryInterface, table, fields, options = {}) {
+  const indexes = await queryInterface.showIndex(table);
+  const exists = indexes.some(index =>
+    index.fields.map(field => field.attribute).join(',') === fields.join(',')
+  );
+  if (!exists) {
+    await queryInterface.addIndex(table, fields, options);
+  }
+}
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+
+    if (!tables.includes('LeadExports')) {
+      await queryInterface.createTable('LeadExports', {
+        id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+        botId: { type: Sequelize.INTEGER, allowNull: false },
+        sessionId: { type: Sequelize.STRING, allowNull: false },
+        sinkId: { type: Sequelize.STRING, allowNull: false },
+        sinkType: { type: Sequelize.STRING, allowNull: false },
+        sinkName: { type: Sequelize.STRING, allowNull: false },
+        idempotencyKey: { type: Sequelize.STRING, allowNull: false, unique: true },
+        record: { type: Sequelize.JSONB, allowNull: false },
+        status: { type: Sequelize.STRING, allowNull: false, defaultValue: 'pending' },
+        attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        nextAttemptAt: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.fn('NOW') },
+        lastError: { type: Sequelize.TEXT, allowNull: true },
+        deliveredAt: { type: Sequelize.DATE, allowNull: true },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      });
+    }
+    await addIndexIfMissing(queryInterface, 'LeadExports', ['status', 'nextAttemptAt']);
+    await addIndexIfMissing(queryInterface, 'LeadExports', ['botId', 'status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('LeadExports');
+  }
+};
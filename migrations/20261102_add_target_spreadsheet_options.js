@@ -0,0 +1,19 @@
+'use strict';
+
+// Tab and metadata columns for the target spreadsheet; existing bots keep writing to Sheet1
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Bots', 'targetSpreadsheetOptions', {
+      type: Sequelize.JSONB,
+      defaultValue: {}
+    });
+    await queryInterface.sequelize.query(`
+      UPDATE "Bots" SET "targetSpreadsheetOptions" = '{"sheetName": "Sheet1"}'::jsonb
+      WHERE "targetSpreadsheetId" IS NOT NULL
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('Bots', 'targetSpreadsheetOptions');
+  }
+};
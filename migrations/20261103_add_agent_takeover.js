@@ -0,0 +1,35 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('ChatSessions', 'takenOverAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('ChatSessions', 'agentId', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('ChatSessions', 'agentName', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('Messages', 'agentId', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('Messages', 'agentName', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('Messages', 'agentName');
+    await queryInterface.removeColumn('Messages', 'agentId');
+    await queryInterface.removeColumn('ChatSessions', 'agentName');
+    await queryInterface.removeColumn('ChatSessions', 'agentId');
+    await queryInterface.removeColumn('ChatSessions', 'takenOverAt');
+  }
+};
@@ -0,0 +1,14 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Bots', 'modelSettings', {
+      type: Sequelize.JSONB,
+      defaultValue: {}
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('Bots', 'modelSettings');
+  }
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('ChatSessions', 'historySummary', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+    await queryInterface.addColumn('ChatSessions', 'summarizedThroughId', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('ChatSessions', 'contextLayout', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('ChatSessions', 'contextLayout');
+    await queryInterface.removeColumn('ChatSessions', 'summarizedThroughId');
+    await queryInterface.removeColumn('ChatSessions', 'historySummary');
+  }
+};
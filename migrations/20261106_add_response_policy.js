@@ -0,0 +1,19 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Bots', 'responsePolicy', {
+      type: Sequelize.JSONB,
+      defaultValue: {}
+    });
+    await queryInterface.addColumn('ChatSessions', 'channel', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('ChatSessions', 'channel');
+    await queryInterface.removeColumn('Bots', 'responsePolicy');
+  }
+};
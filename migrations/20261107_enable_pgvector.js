@@ -0,0 +1,13 @@
+'use strict';
+
+// Knowledge base search orders chunks by cosine distance with pgvector.
+// The embeddings stay real[] columns and are cast per query, so models of any dimension work.
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS vector');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query('DROP EXTENSION IF EXISTS vector');
+  }
+};
@@ -1,109 +1,204 @@
 const fs = require('fs').promises;
 const path = require('path');
-const pdf = require('pdf-parse');
-const { PdfContent, GlobalSettings } = require('./db-setup');
+const { Bot, PdfContent, DEFAULT_BOT_KEY } = require('./db-setup');
+const { indexSource, removeSource } = require('./retrieval');
+const { isSupportedFile, extractFileContent } = require('./fileExtractors');
 
-// Function to read and process a PDF file
-async function processPdfFile(filePath) {
+const pdfDir = path.join(__dirname, 'kb_pdfs');
+
+// Files currently being processed, so the periodic scan does not pick them up twice
+const processingFiles = new Set();
+
+// Function to turn an uploaded file name into a safe name inside kb_pdfs
+function sanitizeFileName(fileName) {
+  const safeName = path.basename(String(fileName || ''))
+    .normalize('NFC')
+    .replace(/[\u0000-\u001f\u007f<>:"/\\|?*]/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .slice(0, 200);
+  return safeName || null;
+}
+
+// Function to get a bot's knowledge file directory.
+// The default bot keeps using kb_pdfs itself, other bots get kb_pdfs/bots/<key>.
+function getKnowledgeFileDir(bot) {
+  return bot.key === DEFAULT_BOT_KEY ? pdfDir : path.join(pdfDir, 'bots', bot.key);
+}
+
+// Function to resolve a file name to the path of a file in the bot's directory or knowledge base.
+// Names are compared NFC-normalized: files saved before uploads were normalized can have NFD names.
+// Returns the path with the name as stored, or null for unknown names and anything outside the directory.
+async function resolveKnowledgeFilePath(bot, fileName) {
+  const name = String(fileName || '');
+  if (!name || name === '.' || name === '..' || path.basename(name) !== name) {
+    return null;
+  }
+
+  const botDir = getKnowledgeFileDir(bot);
+  let fileNames = [];
   try {
-    const dataBuffer = await fs.readFile(filePath);
-    const data = await pdf(dataBuffer);
-    
-    const stats = await fs.stat(filePath);
-    
-    // Store or update the PDF content in the database
+    const entries = await fs.readdir(botDir, { withFileTypes: true });
+    fileNames = entries.filter(entry => entry.isFile()).map(entry => entry.name);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  // Files already gone from disk stay deletable while the knowledge base still lists them
+  const listedNames = bot.knowledgeBasePdfPaths
+    .filter(filePath => path.dirname(filePath) === botDir)
+    .map(filePath => path.basename(filePath));
+
+  const wanted = name.normalize('NFC');
+  const match = [...fileNames, ...listedNames].find(candidate => candidate.normalize('NFC') === wanted);
+  return match ? path.join(botDir, match) : null;
+}
+
+// Function to read and process a knowledge file (PDF, DOCX, text, Markdown, HTML or CSV)
+async function processKnowledgeFile(filePath) {
+  const stats = await fs.stat(filePath);
+  processingFiles.add(filePath);
+  try {
+    await PdfContent.upsert({
+      filePath,
+      status: 'processing',
+      error: null,
+      lastModified: stats.mtime
+    });
+
+    const { format, content } = await extractFileContent(filePath);
+
+    // Store or update the file content in the database
     await PdfContent.upsert({
       filePath,
-      content: data.text,
+      format,
+      content,
+      status: 'ready',
+      error: null,
       lastModified: stats.mtime
     });
-    
-    return data.text;
+
+    return content;
   } catch (error) {
-    console.error(`Error processing PDF file ${filePath}:`, error);
+    console.error(`Error processing knowledge file ${filePath}:`, error);
+    await PdfContent.upsert({
+      filePath,
+      content: '',
+      status: 'failed',
+      error: error.message,
+      lastModified: stats.mtime
+    });
     throw error;
+  } finally {
+    processingFiles.delete(filePath);
   }
 }
 
-// Function to scan the kb_pdfs directory and process all PDFs
-async function scanAndProcessPdfs() {
-  const pdfDir = path.join(__dirname, 'kb_pdfs');
-  
-  try {
-    // Create directory if it doesn't exist
-    await fs.mkdir(pdfDir, { recursive: true });
-    
-    // Read all files in the directory
-    const files = await fs.readdir(pdfDir);
-    const pdfFiles = files.filter(file => file.toLowerCase().endsWith('.pdf'));
-    
-    // Get global settings
-    const globalSettings = await GlobalSettings.findByPk(1);
-    if (!globalSettings) {
-      throw new Error('Global settings not found');
-    }
-    
-    // Process each PDF file
-    for (const file of pdfFiles) {
-      const filePath = path.join(pdfDir, file);
-      const stats = await fs.stat(filePath);
-      
-      // Check if we need to process this file
-      const existingContent = await PdfContent.findByPk(filePath);
-      if (!existingContent || existingContent.lastModified < stats.mtime) {
-        await processPdfFile(filePath);
+// Function to add a file to a bot's knowledge base paths if not already there
+async function addKnowledgeFilePath(bot, filePath) {
+  if (!bot.knowledgeBasePdfPaths.includes(filePath)) {
+    bot.knowledgeBasePdfPaths = [...bot.knowledgeBasePdfPaths, filePath];
+    await bot.save();
+  }
+}
+
+// Function to process a single file, index it and register it in the bot's knowledge base
+async function ingestKnowledgeFile(bot, filePath) {
+  await addKnowledgeFilePath(bot, filePath);
+  const content = await processKnowledgeFile(filePath);
+  await indexSource(bot.id, 'file', filePath, content);
+  return content;
+}
+
+// Function to delete a knowledge file from disk, the database and the bot's retrieval index
+async function deleteKnowledgeFile(bot, filePath) {
+  await fs.rm(filePath, { force: true });
+  await PdfContent.destroy({ where: { filePath } });
+  await removeSource(bot.id, 'file', filePath);
+
+  if (bot.knowledgeBasePdfPaths.includes(filePath)) {
+    bot.knowledgeBasePdfPaths = bot.knowledgeBasePdfPaths.filter(p => p !== filePath);
+    await bot.save();
+  }
+}
+
+// Function to scan a bot's knowledge file directory and process all supported files
+async function scanBotFiles(bot) {
+  const botDir = getKnowledgeFileDir(bot);
+
+  // Create directory if it doesn't exist
+  await fs.mkdir(botDir, { recursive: true });
+
+  // Read all files in the directory (the default bot's directory also holds the other bots' folders)
+  const entries = await fs.readdir(botDir, { withFileTypes: true });
+  const knowledgeFiles = entries
+    .filter(entry => entry.isFile() && isSupportedFile(entry.name))
+    .map(entry => entry.name);
+
+  // Process each knowledge file
+  for (const file of knowledgeFiles) {
+    const filePath = path.join(botDir, file);
+    if (processingFiles.has(filePath)) continue;
+
+    const stats = await fs.stat(filePath);
+
+    // Check if we need to process this file (failed files wait for a change or a manual re-process)
+    const existingContent = await PdfContent.findByPk(filePath);
+    try {
+      let content = existingContent ? existingContent.content : null;
+      if (!existingContent || existingContent.lastModified < stats.mtime || existingContent.status === 'processing') {
+        content = await processKnowledgeFile(filePath);
+      } else if (existingContent.status === 'failed') {
+        content = null;
       }
-      
-      // Add to knowledge base if not already there
-      if (!globalSettings.knowledgeBasePdfPaths.includes(filePath)) {
-        globalSettings.knowledgeBasePdfPaths = [...globalSettings.knowledgeBasePdfPaths, filePath];
-        await globalSettings.save();
+
+      // Keep the retrieval index in sync (unchanged content is skipped)
+      if (content !== null) {
+        await indexSource(bot.id, 'file', filePath, content);
       }
+    } catch (error) {
+      console.error(`Error ingesting knowledge file ${filePath}:`, error);
     }
-    
-    // Remove any PDFs from knowledge base that no longer exist
-    const validPaths = globalSettings.knowledgeBasePdfPaths.filter(filePath => 
-      pdfFiles.includes(path.basename(filePath))
-    );
-    if (validPaths.length !== globalSettings.knowledgeBasePdfPaths.length) {
-      globalSettings.knowledgeBasePdfPaths = validPaths;
-      await globalSettings.save();
+
+    // Add to knowledge base if not already there
+    await addKnowledgeFilePath(bot, filePath);
+  }
+
+  // Remove any files from knowledge base that no longer exist
+  const validPaths = bot.knowledgeBasePdfPaths.filter(filePath =>
+    path.dirname(filePath) === botDir && knowledgeFiles.includes(path.basename(filePath))
+  );
+  if (validPaths.length !== bot.knowledgeBasePdfPaths.length) {
+    const removedPaths = bot.knowledgeBasePdfPaths.filter(filePath => !validPaths.includes(filePath));
+    for (const filePath of removedPaths) {
+      await PdfContent.destroy({ where: { filePath } });
+      await removeSource(bot.id, 'file', filePath);
     }
-    
-    return pdfFiles;
-  } catch (error) {
-    console.error('Error scanning PDF directory:', error);
-    throw error;
+    bot.knowledgeBasePdfPaths = validPaths;
+    await bot.save();
   }
+
+  return knowledgeFiles;
 }
 
-// Function to get all PDF content for chat context
-async function getAllPdfContentForContext() {
+// Function to scan the knowledge file directories of every bot
+async function scanAndProcessFiles() {
   try {
-    const globalSettings = await GlobalSettings.findByPk(1);
-    if (!globalSettings || !globalSettings.knowledgeBasePdfPaths.length) {
-      return '';
+    const bots = await Bot.findAll();
+    for (const bot of bots) {
+      await scanBotFiles(bot);
     }
-    
-    let allContext = 'PDF Knowledge Base:\n';
-    
-    for (const filePath of globalSettings.knowledgeBasePdfPaths) {
-      const pdfContent = await PdfContent.findByPk(filePath);
-      if (pdfContent) {
-        allContext += `\nContent from ${path.basename(filePath)}:\n`;
-        allContext += pdfContent.content + '\n';
-      }
-    }
-    
-    return allContext;
   } catch (error) {
-    console.error('Error getting PDF content for context:', error);
-    return '';
+    console.error('Error scanning knowledge file directory:', error);
+    throw error;
   }
 }
 
 module.exports = {
-  processPdfFile,
-  scanAndProcessPdfs,
-  getAllPdfContentForContext
-}; 
\ No newline at end of file
+  getKnowledgeFileDir,
+  sanitizeFileName,
+  resolveKnowledgeFilePath,
+  processKnowledgeFile,
+  ingestKnowledgeFile,
+  deleteKnowledgeFile,
+  scanAndProcessFiles
+};
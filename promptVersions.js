@@ -0,0 +1,114 @@
+const { sequelize, PromptVersion } = require('./db-setup');
+
+// Function to store a new prompt version for a bot and make it the active prompt
+async function savePromptVersion(bot, { prompt, author, note }) {
+  return sequelize.transaction(async (transaction) => {
+    // Lock the bot row so two saves cannot take the same version number
+    await bot.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    const latest = await PromptVersion.max('version', { where: { botId: bot.id }, transaction });
+
+    const promptVersion = await PromptVersion.create({
+      botId: bot.id,
+      version: (latest || 0) + 1,
+      prompt,
+      author,
+      note: note || null
+    }, { transaction });
+
+    bot.prompt = prompt;
+    bot.activePromptVersion = promptVersion.version;
+    await bot.save({ transaction });
+    return promptVersion;
+  });
+}
+
+// Function to make an earlier prompt version the active prompt again
+async function activatePromptVersion(bot, version) {
+  const promptVersion = await getPromptVersion(bot.id, version);
+  if (!promptVersion) return null;
+
+  bot.prompt = promptVersion.prompt;
+  bot.activePromptVersion = promptVersion.version;
+  await bot.save();
+  return promptVersion;
+}
+
+// Function to give a bot its first prompt version if it has none yet
+async function ensurePromptVersion(bot, author) {
+  if (bot.activePromptVersion) return;
+  await savePromptVersion(bot, { prompt: bot.prompt || '', author, note: 'Initial prompt' });
+}
+
+async function getPromptVersion(botId, version) {
+  return PromptVersion.findOne({ where: { botId, version } });
+}
+
+async function listPromptVersions(botId) {
+  return PromptVersion.findAll({
+    where: { botId },
+    order: [['version', 'DESC']]
+  });
+}
+
+// Function to compute a line diff between two texts (longest common subsequence)
+function diffLines(oldText, newText) {
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+
+  // lengths[i][j] = LCS length of oldLines[i..] and newLines[j..]
+  const lengths = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[i] === newLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length || j < newLines.length) {
+    if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+      changes.push({ type: 'unchanged', line: oldLines[i] });
+      i++;
+      j++;
+    } else if (i < oldLines.length && (j === newLines.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      changes.push({ type: 'removed', line: oldLines[i] });
+      i++;
+    } else {
+      changes.push({ type: 'added', line: newLines[j] });
+      j++;
+    }
+  }
+  return changes;
+}
+
+// Function to format a diff as unified-style text ("+" added, "-" removed, " " unchanged)
+function formatDiff(changes) {
+  const prefixes = { added: '+', removed: '-', unchanged: ' ' };
+  return changes.map(change => `${prefixes[change.type]} ${change.line}`).join('\n');
+}
+
+// Function to format a prompt version for the admin API
+function formatPromptVersion(promptVersion, bot) {
+  return {
+    version: promptVersion.version,
+    prompt: promptVersion.prompt,
+    author: promptVersion.author,
+    note: promptVersion.note,
+    createdAt: promptVersion.createdAt,
+    active: bot.activePromptVersion === promptVersion.version
+  };
+}
+
+module.exports = {
+  savePromptVersion,
+  activatePromptVersion,
+  ensurePromptVersion,
+  getPromptVersion,
+  listPromptVersions,
+  diffLines,
+  formatDiff,
+  formatPromptVersion
+};
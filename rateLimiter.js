@@ -0,0 +1,55 @@
+// Fixed-window rate limiter kept in memory: at most `limit` hits per key every `windowMs`
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  // Drop finished windows now and then so idle keys do not pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  const current = (key) => {
+    const now = Date.now();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    return window;
+  };
+
+  return {
+    // Milliseconds until the key may be hit again, or 0 if it may be hit now
+    retryAfterMs(key) {
+      const window = current(key);
+      return window.count < limit ? 0 : window.resetAt - Date.now();
+    },
+
+    hit(key) {
+      current(key).count += 1;
+    }
+  };
+}
+
+// Function to count a hit against several limiters at once.
+// Nothing is counted when any limiter is exhausted; the first exhausted one is returned.
+function consumeRateLimits(checks) {
+  for (const { scope, limiter, key } of checks) {
+    const retryAfterMs = limiter.retryAfterMs(key);
+    if (retryAfterMs > 0) {
+      return { allowed: false, scope, retryAfterMs };
+    }
+  }
+  for (const { limiter, key } of checks) {
+    limiter.hit(key);
+  }
+  return { allowed: true };
+}
+
+module.exports = {
+  createRateLimiter,
+  consumeRateLimits
+};
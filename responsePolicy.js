@@ -0,0 +1,167 @@
+// How the bot replies, unless a bot or channel sets otherwise
+const RESPONSE_POLICY_DEFAULTS = {
+  // Added to the system prompt of every turn
+  style: 'Always reply in 3 - 4 short sentences and never with long or detailed answers. Keep your responses concise, conversational, and ensure correct spelling and grammar.',
+  // Longest reply in characters; longer replies are cut at the last full sentence (null: no limit)
+  maxLength: null,
+  allowLists: false,
+  allowMarkdown: false,
+  // Sent to the customer instead of a failed or empty reply
+  fallbacks: {
+    error: 'Sorry, something went wrong on our side. Please try again in a moment.',
+    empty: "Sorry, I don't have an answer to that right now. Could you rephrase your question?"
+  }
+};
+
+// Channel names the client may send in startChat (e.g. "web", "whatsapp")
+const CHANNEL_PATTERN = /^[a-z0-9-]{1,32}$/;
+
+const POLICY_KEYS = ['style', 'maxLength', 'allowLists', 'allowMarkdown', 'fallbacks'];
+
+function validatePolicyFields(policy, label) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return `${label} must be an object`;
+  }
+  if (policy.style !== undefined && typeof policy.style !== 'string') {
+    return `${label}.style must be a string`;
+  }
+  if (policy.maxLength !== undefined && policy.maxLength !== null &&
+    (!Number.isInteger(policy.maxLength) || policy.maxLength < 50)) {
+    return `${label}.maxLength must be a whole number of at least 50, or null`;
+  }
+  for (const key of ['allowLists', 'allowMarkdown']) {
+    if (policy[key] !== undefined && typeof policy[key] !== 'boolean') {
+      return `${label}.${key} must be true or false`;
+    }
+  }
+  if (policy.fallbacks !== undefined) {
+    if (!policy.fallbacks || typeof policy.fallbacks !== 'object' || Array.isArray(policy.fallbacks)) {
+      return `${label}.fallbacks must be an object`;
+    }
+    for (const key of ['error', 'empty']) {
+      const fallback = policy.fallbacks[key];
+      if (fallback !== undefined && (typeof fallback !== 'string' || !fallback.trim())) {
+        return `${label}.fallbacks.${key} must be a message`;
+      }
+    }
+  }
+  return null;
+}
+
+// Function to check a response policy with optional per-channel overrides; returns an error message or null
+function validateResponsePolicy(policy) {
+  const error = validatePolicyFields(policy, 'policy');
+  if (error) return error;
+
+  if (policy.channels !== undefined) {
+    if (!policy.channels || typeof policy.channels !== 'object' || Array.isArray(policy.channels)) {
+      return 'channels must map channel names to policies';
+    }
+    for (const [channel, override] of Object.entries(policy.channels)) {
+      if (!CHANNEL_PATTERN.test(channel)) {
+        return `Invalid channel name: ${channel}`;
+      }
+      const channelError = validatePolicyFields(override, `channels.${channel}`);
+      if (channelError) return channelError;
+    }
+  }
+  return null;
+}
+
+function pickPolicyFields(policy) {
+  const picked = {};
+  for (const key of POLICY_KEYS) {
+    if (policy[key] !== undefined) picked[key] = policy[key];
+  }
+  return picked;
+}
+
+// Function to store only the known policy settings
+function normalizeResponsePolicy(policy) {
+  const normalized = pickPolicyFields(policy);
+  if (policy.channels) {
+    normalized.channels = Object.fromEntries(Object.entries(policy.channels).map(([channel, override]) =>
+      [channel, pickPolicyFields(override)]
+    ));
+  }
+  return normalized;
+}
+
+function mergePolicy(base, override = {}) {
+  return {
+    ...base,
+    ...pickPolicyFields(override),
+    fallbacks: { ...base.fallbacks, ...(override.fallbacks || {}) }
+  };
+}
+
+// Function to get the policy for a bot's replies on a channel: defaults, then the bot's, then the channel's
+function resolveResponsePolicy(bot, channel = null) {
+  const botPolicy = (bot && bot.responsePolicy) || {};
+  const policy = mergePolicy(RESPONSE_POLICY_DEFAULTS, botPolicy);
+  const channelPolicy = channel && botPolicy.channels && botPolicy.channels[channel];
+  return channelPolicy ? mergePolicy(policy, channelPolicy) : policy;
+}
+
+// Function to build the style instruction added to the system prompt
+function buildStyleInstruction(policy) {
+  const rules = [policy.style.trim()];
+  if (!policy.allowLists) {
+    rules.push('Never reply as a list.');
+  }
+  if (!policy.allowMarkdown) {
+    rules.push('Write plain text without Markdown formatting.');
+  }
+  if (policy.maxLength) {
+    rules.push(`Keep every reply under ${policy.maxLength} characters.`);
+  }
+  return rules.filter(Boolean).join(' ');
+}
+
+// A sentence end: . ! ? or … with any closing quotes or brackets, before whitespace or the end of the text
+const SENTENCE_END = /[.!?…]["')\]]*(?=\s|$)/g;
+
+// Function to find where the last full sentence within limit ends in text (0 when there is none).
+// While a reply is still streaming (complete: false) the end of the text is not a sentence end yet,
+// since the next chunk may continue it (e.g. "3." followed by "5").
+function lastSentenceEnd(text, limit, { complete = true } = {}) {
+  let end = 0;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    const matchEnd = match.index + match[0].length;
+    if (matchEnd > limit) break;
+    if (complete || matchEnd < text.length) end = matchEnd;
+  }
+  return end;
+}
+
+// Function to cut a reply to maxLength at the end of its last full sentence.
+// Without a sentence end in the allowed length, it is cut at a word boundary and ends with '...'.
+function truncateReply(text, maxLength) {
+  if (!maxLength || text.length <= maxLength) return text;
+
+  const sentenceEnd = lastSentenceEnd(text, maxLength);
+  if (sentenceEnd) {
+    return text.slice(0, sentenceEnd);
+  }
+
+  const ellipsisLength = 3;
+  const cut = text.slice(0, maxLength - ellipsisLength);
+  const wordEnd = cut.lastIndexOf(' ');
+  return `${(wordEnd > 0 ? cut.slice(0, wordEnd) : cut).trim()}...`;
+}
+
+// Function to read a client's channel name; unknown formats count as no channel
+function parseChannel(value) {
+  return typeof value === 'string' && CHANNEL_PATTERN.test(value) ? value : null;
+}
+
+module.exports = {
+  RESPONSE_POLICY_DEFAULTS,
+  validateResponsePolicy,
+  normalizeResponsePolicy,
+  resolveResponsePolicy,
+  buildStyleInstruction,
+  lastSentenceEnd,
+  truncateReply,
+  parseChannel
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const path = require('path');
+const { QueryTypes } = require('sequelize');
+const { KnowledgeChunk } = require('./db-setup');
+const { embedTexts } = require('./llmProvider');
+
+const RETRIEVAL_TOP_K = parseInt(process.env.RETRIEVAL_TOP_K, 10) || 5;
+const CHUNK_SIZE = parseInt(process.env.RETRIEVAL_CHUNK_SIZE, 10) || 1000;
+const CHUNK_OVERLAP = parseInt(process.env.RETRIEVAL_CHUNK_OVERLAP, 10) || 150;
+
+// Function to split text into overlapping chunks, preferring line boundaries
+function chunkText(text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+  const lines = (text || '')
+    .split(/\n+/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  // Break lines longer than a chunk on word boundaries
+  const pieces = [];
+  for (const line of lines) {
+    if (line.length <= size) {
+      pieces.push(line);
+      continue;
+    }
+    let current = '';
+    for (const word of line.split(' ')) {
+      if (current && current.length + word.length + 1 > size) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${word}` : word;
+    }
+    if (current) pieces.push(current);
+  }
+
+  // Pack pieces into chunks, carrying the tail of each chunk into the next
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 1 > size) {
+      chunks.push(current);
+      const tail = current.slice(-overlap);
+      const boundary = tail.indexOf(' ');
+      current = boundary === -1 ? '' : tail.slice(boundary + 1);
+    }
+    current = current ? `${current}\n${piece}` : piece;
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+// Vector store keeping chunks and embeddings in the KnowledgeChunk table.
+// Similarity search runs in Postgres with the pgvector extension (see migrations/20261107_enable_pgvector.js):
+// the stored real[] embeddings are cast to vectors and ordered by cosine distance.
+function createPostgresVectorStore() {
+  return {
+    async getSourceHash(botId, sourceType, sourceId) {
+      const chunk = await KnowledgeChunk.findOne({
+        where: { botId, sourceType, sourceId },
+        attributes: ['contentHash']
+      });
+      return chunk ? chunk.contentHash : null;
+    },
+
+    async replaceSource(botId, sourceType, sourceId, contentHash, chunks) {
+      await KnowledgeChunk.sequelize.transaction(async (transaction) => {
+        await KnowledgeChunk.destroy({ where: { botId, sourceType, sourceId }, transaction });
+        await KnowledgeChunk.bulkCreate(chunks.map((chunk, chunkIndex) => ({
+          botId,
+          sourceType,
+          sourceId,
+          chunkIndex,
+          content: chunk.content,
+          contentHash,
+          embedding: chunk.embedding
+        })), { transaction });
+      });
+    },
+
+    async removeSource(botId, sourceType, sourceId) {
+      await KnowledgeChunk.destroy({ where: { botId, sourceType, sourceId } });
+    },
+
+    async listSources(botId) {
+      const rows = await KnowledgeChunk.findAll({
+        where: { botId },
+        attributes: ['sourceType', 'sourceId'],
+        group: ['sourceType', 'sourceId'],
+        raw: true
+      });
+      return rows;
+    },
+
+    async query(botId, embedding, { topK }) {
+      const rows = await KnowledgeChunk.sequelize.query(`
+        SELECT "sourceType", "sourceId", "chunkIndex", "content",
+          1 - ("embedding"::vector <=> $embedding::vector) AS score
+        FROM "KnowledgeChunks"
+        WHERE "botId" = $botId
+        ORDER BY "embedding"::vector <=> $embedding::vector
+        LIMIT $topK
+      `, {
+        bind: { botId, embedding: JSON.stringify(embedding), topK },
+        type: QueryTypes.SELECT
+      });
+      return rows.map(row => ({ ...row, score: Number(row.score) }));
+    }
+  };
+}
+
+let vectorStore = createPostgresVectorStore();
+
+// Swap the vector store implementation (must provide the same methods)
+function setVectorStore(store) {
+  vectorStore = store;
+}
+
+// Function to (re)index a bot's knowledge source, skipping it when the text is unchanged
+async function indexSource(botId, sourceType, sourceId, text) {
+  const contentHash = crypto.createHash('sha256').update(text || '').digest('hex');
+  const existingHash = await vectorStore.getSourceHash(botId, sourceType, sourceId);
+  if (existingHash === contentHash) {
+    return false;
+  }
+
+  const chunks = chunkText(text);
+  if (!chunks.length) {
+    await vectorStore.removeSource(botId, sourceType, sourceId);
+    return true;
+  }
+
+  const embeddings = await embedTexts(chunks);
+  await vectorStore.replaceSource(botId, sourceType, sourceId, contentHash, chunks.map((content, i) => ({
+    content,
+    embedding: embeddings[i]
+  })));
+  console.log(`Indexed ${chunks.length} chunks for bot ${botId} ${sourceType} ${sourceId}`);
+  return true;
+}
+
+async function removeSource(botId, sourceType, sourceId) {
+  await vectorStore.removeSource(botId, sourceType, sourceId);
+}
+
+// Function to drop every source of a bot's index that is not in the given list
+async function pruneSources(botId, activeSources) {
+  const active = new Set(activeSources.map(s => `${s.sourceType}:${s.sourceId}`));
+  const indexed = await vectorStore.listSources(botId);
+  for (const source of indexed) {
+    if (!active.has(`${source.sourceType}:${source.sourceId}`)) {
+      await vectorStore.removeSource(botId, source.sourceType, source.sourceId);
+      console.log(`Removed ${source.sourceType} ${source.sourceId} from knowledge index of bot ${botId}`);
+    }
+  }
+}
+
+// Function to find the chunks of a bot's knowledge base most relevant to a question
+async function retrieveRelevantChunks(botId, question, { topK = RETRIEVAL_TOP_K } = {}) {
+  if (!question || !question.trim()) return [];
+  const [embedding] = await embedTexts([question]);
+  return vectorStore.query(botId, embedding, { topK });
+}
+
+function describeSource(sourceType, sourceId) {
+  switch (sourceType) {
+    case 'sheet':
+      return `Sheet ${sourceId}`;
+    case 'file':
+      return path.basename(sourceId);
+    default:
+      return sourceId;
+  }
+}
+
+// Function to format retrieved chunks for chat context
+function formatChunksForContext(chunks) {
+  if (!chunks || !chunks.length) return '';
+
+  let allContext = 'Knowledge Base Information:\n';
+  for (const chunk of chunks) {
+    allContext += `\nContent from ${describeSource(chunk.sourceType, chunk.sourceId)}:\n`;
+    allContext += chunk.content + '\n';
+  }
+  return allContext;
+}
+
+module.exports = {
+  chunkText,
+  createPostgresVectorStore,
+  setVectorStore,
+  indexSource,
+  removeSource,
+  pruneSources,
+  retrieveRelevantChunks,
+  formatChunksForContext
+};
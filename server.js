@@ -1,147 +1,205 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const { OpenAI } = require('openai');
-const { Sequelize, DataTypes } = require('sequelize');
 const http = require('http');
 const socketIo = require('socket.io');
-const { google } = require('googleapis');
-const axios = require('axios');
-const cheerio = require('cheerio');
-const { scanAndProcessPdfs, getAllPdfContentForContext } = require('./pdfHandler');
+const { sheets } = require('./googleClient');
+const {
+  getKnowledgeFileDir,
+  sanitizeFileName,
+  resolveKnowledgeFilePath,
+  ingestKnowledgeFile,
+  deleteKnowledgeFile,
+  scanAndProcessFiles
+} = require('./pdfHandler');
+const { isSupportedFile, checkFileContent, supportedExtensions } = require('./fileExtractors');
+const { isValidSelectorList } = require('./contentExtractor');
+const {
+  refreshWebpageSnapshot,
+  getWebpageSnapshot,
+  removeWebpageSnapshot,
+  formatWebpageContent,
+  formatSnapshotStatus
+} = require('./webpageCache');
+const {
+  syncSheetSnapshot,
+  getSheetSnapshot,
+  removeSheetSnapshot,
+  formatSheetStatus
+} = require('./sheetCache');
+const {
+  isSitemapUrl,
+  startCrawl,
+  startDueCrawls,
+  deleteCrawlSource,
+  listCrawledPageUrls,
+  formatCrawlStatus
+} = require('./crawler');
+const {
+  sequelize,
+  DEFAULT_BOT_KEY,
+  ChatSession,
+  Bot,
+  Message,
+  ChatVariable,
+  PdfContent,
+  WebpageSnapshot,
+  CrawlSource,
+  SheetSnapshot,
+  AdminApiKey,
+  AuditLog
+} = require('./db-setup');
+const {
+  indexSource,
+  removeSource,
+  pruneSources,
+  retrieveRelevantChunks
+} = require('./retrieval');
 const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const multer = require('multer');
+const { Op } = require('sequelize');
+const {
+  issueSessionToken,
+  verifySessionToken,
+  createChatSession,
+  resumeChatSession,
+  touchSession,
+  formatMessage,
+  getSessionHistory,
+  listActiveSessions,
+  takeOverSession,
+  handBackSession,
+  markLeadExported,
+  findIdleSessions,
+  archiveChatSession,
+  purgeExpiredArchives
+} = require('./chatSessions');
+const { createRateLimiter, consumeRateLimits } = require('./rateLimiter');
+const {
+  validateFieldDefinitions,
+  normalizeFieldDefinitions,
+  fieldsFromHeaders
+} = require('./extractionSchema');
+const {
+  leadEvents,
+  getLead,
+  analyzeChatForVariables,
+  scheduleExtraction,
+  cancelScheduledExtraction
+} = require('./leadExtraction');
+const {
+  getSlotFillingSettings,
+  validateSlotFillingSettings,
+  normalizeSlotFillingSettings,
+  pruneSlotFillingFields,
+  isLeadComplete,
+  planSlotAsk,
+  buildSlotFillingInstruction,
+  recordSlotAsk,
+  markLeadCompleted
+} = require('./slotFilling');
+const {
+  SINK_TYPES,
+  validateSink,
+  mergeSinkUpdate,
+  normalizeSink,
+  formatSink,
+  validateSheetConfig,
+  getBotSinks
+} = require('./exportSinks');
+const {
+  EXPORT_STATUSES,
+  enqueueLeadExport,
+  processOutbox,
+  getLeadExport,
+  listLeadExports,
+  retryLeadExport,
+  discardLeadExport,
+  formatLeadExport
+} = require('./leadOutbox');
+const {
+  PROVIDERS,
+  getModelSettings,
+  validateModelSettings,
+  normalizeModelSettings,
+  streamChat
+} = require('./llmProvider');
+const { buildChatContext } = require('./contextBuilder');
+const {
+  validateResponsePolicy,
+  normalizeResponsePolicy,
+  resolveResponsePolicy,
+  buildStyleInstruction,
+  lastSentenceEnd,
+  truncateReply,
+  parseChannel
+} = require('./responsePolicy');
+const {
+  savePromptVersion,
+  activatePromptVersion,
+  ensurePromptVersion,
+  getPromptVersion,
+  listPromptVersions,
+  diffLines,
+  formatDiff,
+  formatPromptVersion
+} = require('./promptVersions');
+const {
+  ROLES,
+  createApiKey,
+  formatApiKey,
+  authenticateAdmin,
+  authenticateSocket,
+  requireRole,
+  requireSocketRole,
+  authorizeByMethod,
+  auditChanges
+} = require('./adminAuth');
+const {
+  formatSessionSummary,
+  getTranscript,
+  formatTranscriptCsv,
+  formatTranscriptText
+} = require('./transcripts');
 
 dotenv.config();
 
 const app = express();
 const server = http.createServer(app);
+
+// CORS_ORIGINS (comma separated) limits which sites may use the chat socket and call the admin API
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
 const io = socketIo(server, {
   cors: {
-    origin: "*",
-    methods: ["GET", "POST"],
-    allowedHeaders: ["my-custom-header"],
-    credentials: true
+    origin: corsOrigins.length ? corsOrigins : '*',
+    methods: ["GET", "POST"]
+  },
+  // CORS only covers polling; browsers opening a websocket are checked by their Origin header here.
+  // Clients outside a browser send no Origin and are let through, as with CORS.
+  allowRequest: (req, callback) => {
+    const origin = req.headers.origin;
+    callback(null, !corsOrigins.length || !origin || corsOrigins.includes(origin));
   },
   transports: ['websocket', 'polling']
 });
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  ...(corsOrigins.length ? { origin: corsOrigins } : {}),
+  // Total of paginated lists, e.g. GET /sessions
+  exposedHeaders: ['X-Total-Count']
+}));
 app.use(express.json());
 
-// OpenAI configuration
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-// Google Sheets configuration
-const credentials = JSON.parse(process.env.GOOGLE_SHEETS_CREDENTIALS);
-const auth = new google.auth.GoogleAuth({
-  credentials,
-  scopes: [
-    'https://www.googleapis.com/auth/spreadsheets',
-    'https://www.googleapis.com/auth/drive.file'
-  ],
-});
-
-const sheets = google.sheets({ version: 'v4', auth });
-
-// PostgreSQL connection
-const sequelize = new Sequelize(process.env.DATABASE_URL, {
-  dialect: 'postgres',
-  dialectOptions: {
-    ssl: {
-      require: true,
-      rejectUnauthorized: false
-    }
-  }
-});
-
-// Chat session model
-const ChatSession = sequelize.define('ChatSession', {
-  sessionId: {
-    type: DataTypes.STRING,
-    primaryKey: true
-  }
-});
-
-// Global settings model
-const GlobalSettings = sequelize.define('GlobalSettings', {
-  id: {
-    type: DataTypes.INTEGER,
-    primaryKey: true,
-    defaultValue: 1
-  },
-  prompt: {
-    type: DataTypes.TEXT,
-    defaultValue: "You are a helpful assistant."
-  },
-  knowledgeBaseSheetIds: {
-    type: DataTypes.ARRAY(DataTypes.STRING),
-    defaultValue: []
-  },
-  knowledgeBaseUrls: {
-    type: DataTypes.ARRAY(DataTypes.STRING),
-    defaultValue: []
-  },
-  extractionHeaders: {
-    type: DataTypes.ARRAY(DataTypes.STRING),
-    defaultValue: []
-  },
-  targetSpreadsheetId: {
-    type: DataTypes.STRING,
-    allowNull: true
-  },
-  knowledgeBasePdfPaths: {
-    type: DataTypes.ARRAY(DataTypes.STRING),
-    defaultValue: []
-  }
-});
-
-// Message model
-const Message = sequelize.define('Message', {
-  role: {
-    type: DataTypes.STRING,
-    allowNull: false
-  },
-  content: {
-    type: DataTypes.TEXT,
-    allowNull: false
-  },
-  timestamp: {
-    type: DataTypes.DATE,
-    defaultValue: DataTypes.NOW
-  }
-});
-
-// Chat Variables model
-const ChatVariable = sequelize.define('ChatVariable', {
-  sessionId: {
-    type: DataTypes.STRING,
-    allowNull: false
-  },
-  variableName: {
-    type: DataTypes.STRING,
-    allowNull: false
-  },
-  variableValue: {
-    type: DataTypes.TEXT,
-    allowNull: false
-  },
-  timestamp: {
-    type: DataTypes.DATE,
-    defaultValue: DataTypes.NOW
-  }
-});
-
-// Define relationships with explicit foreign key
-ChatSession.hasMany(Message, {
-  foreignKey: 'sessionId',
-  sourceKey: 'sessionId'
-});
-Message.belongsTo(ChatSession, {
-  foreignKey: 'sessionId',
-  targetKey: 'sessionId'
+// Knowledge file uploads are kept in memory, validated, then written to kb_pdfs
+const KNOWLEDGE_FILE_MAX_BYTES = parseInt(process.env.KNOWLEDGE_FILE_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const knowledgeFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: KNOWLEDGE_FILE_MAX_BYTES, files: 1 },
+  defParamCharset: 'utf8'
 });
 
 // Initialize database
@@ -153,295 +211,661 @@ sequelize
   })
   .then(async () => {
     console.log('Database synchronized');
-    await GlobalSettings.findOrCreate({
-      where: { id: 1 },
+    const [defaultBot] = await Bot.findOrCreate({
+      where: { key: DEFAULT_BOT_KEY },
       defaults: {
+        name: 'Default bot',
         prompt: "You are a helpful assistant.",
         knowledgeBaseSheetIds: [],
         knowledgeBaseUrls: [],
         knowledgeBasePdfPaths: []
       }
     });
+    await ensurePromptVersion(defaultBot, 'system');
+    await refreshKnowledgeIndex();
   })
   .catch(err => {
     console.error('Unable to connect to the database:', err);
   });
 
-// Function to fetch data from Google Sheet
-async function fetchSheetData(sheetId) {
-  try {
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: sheetId,
-      range: 'A:Z', // Adjust range as needed
-    });
-    return response.data.values;
-  } catch (error) {
-    console.error('Error fetching sheet data:', error);
-    throw error;
+// Function to format sheet rows as text for the knowledge index
+function formatSheetData(sheetData) {
+  if (!sheetData || !sheetData.length) return '';
+
+  const headers = sheetData[0];
+  const rows = sheetData.slice(1);
+  return rows
+    .map(row => headers.map((header, index) => `${header}: ${row[index] || ''}`).join(', '))
+    .join('\n');
+}
+
+// Function to (re)index the cached snapshot of a sheet into a bot's knowledge base
+async function indexSheet(botId, snapshot) {
+  return indexSource(botId, 'sheet', snapshot.sheetId, formatSheetData(snapshot.values));
+}
+
+// Function to (re)index the cached snapshot of a webpage into a bot's knowledge base
+async function indexWebpage(botId, snapshot) {
+  return indexSource(botId, 'webpage', snapshot.url, formatWebpageContent(snapshot));
+}
+
+// Function to drop a sheet's cached snapshot once no bot uses the sheet any more
+async function removeUnusedSheetSnapshot(sheetId) {
+  const usage = await Bot.count({
+    where: { knowledgeBaseSheetIds: { [Op.contains]: [sheetId] } }
+  });
+  if (!usage) {
+    await removeSheetSnapshot(sheetId);
   }
 }
 
-// Function to format sheet data for context
-async function formatAllSheetDataForContext(sheetIds) {
-  if (!sheetIds || !sheetIds.length) return '';
-  
-  let allContext = 'Knowledge Base Information:\n';
-  
-  for (const sheetId of sheetIds) {
+// Function to index every knowledge source configured for a bot and drop removed ones.
+// Sources that fail to fetch keep their previously indexed chunks.
+async function refreshBotKnowledgeIndex(bot) {
+  const activeSources = [];
+
+  for (const sheetId of bot.knowledgeBaseSheetIds || []) {
+    activeSources.push({ sourceType: 'sheet', sourceId: sheetId });
     try {
-      const sheetData = await fetchSheetData(sheetId);
-      if (sheetData && sheetData.length) {
-        const headers = sheetData[0];
-        const rows = sheetData.slice(1);
-        
-        allContext += `\nData from Sheet ${sheetId}:\n`;
-        rows.forEach(row => {
-          const rowData = headers.map((header, index) => `${header}: ${row[index] || ''}`).join(', ');
-          allContext += rowData + '\n';
-        });
+      const snapshot = await getSheetSnapshot(sheetId);
+      if (snapshot) {
+        await indexSheet(bot.id, snapshot);
+      }
+    } catch (error) {
+      console.error(`Error indexing sheet ${sheetId}:`, error);
+    }
+  }
+
+  for (const url of bot.knowledgeBaseUrls || []) {
+    activeSources.push({ sourceType: 'webpage', sourceId: url });
+    try {
+      const selectors = (bot.knowledgeBaseUrlSelectors || {})[url];
+      const snapshot = await getWebpageSnapshot(bot.id, url, selectors);
+      if (snapshot) {
+        await indexWebpage(bot.id, snapshot);
       }
     } catch (error) {
-      console.error(`Error fetching data from sheet ${sheetId}:`, error);
+      console.error(`Error indexing webpage ${url}:`, error);
     }
   }
-  
-  return allContext;
+
+  // Files are indexed by the file scan; only keep them from being pruned here
+  for (const filePath of bot.knowledgeBasePdfPaths || []) {
+    activeSources.push({ sourceType: 'file', sourceId: filePath });
+  }
+
+  // Crawled pages are indexed by the crawler; likewise only protect them
+  for (const url of await listCrawledPageUrls(bot.id)) {
+    activeSources.push({ sourceType: 'webpage', sourceId: url });
+  }
+
+  await pruneSources(bot.id, activeSources);
 }
 
-// Function to fetch webpage content
-async function fetchWebpageContent(url) {
+// Function to refresh the knowledge index of every bot
+async function refreshKnowledgeIndex() {
   try {
-    const response = await axios.get(url);
-    const $ = cheerio.load(response.data);
-    
-    // Remove script and style elements
-    $('script').remove();
-    $('style').remove();
-    
-    // Get text content
-    const title = $('title').text();
-    const bodyText = $('body').text()
-      .replace(/\s+/g, ' ')
-      .trim();
-    
-    return {
-      title,
-      content: bodyText
-    };
+    const bots = await Bot.findAll();
+    for (const bot of bots) {
+      try {
+        await refreshBotKnowledgeIndex(bot);
+      } catch (error) {
+        console.error(`Error refreshing knowledge index of bot ${bot.key}:`, error);
+      }
+    }
+
+    // Re-crawl sites whose last crawl is due
+    await startDueCrawls();
   } catch (error) {
-    console.error('Error fetching webpage:', error);
-    throw error;
+    console.error('Error refreshing knowledge index:', error);
   }
 }
 
-// Function to format webpage content for context
-function formatWebpageContentForContext(webpageData) {
-  return `Webpage Knowledge Base:
-Title: ${webpageData.title}
-Content: ${webpageData.content}`;
-}
-
-// Function to format all webpage content for context
-async function formatAllWebpageContentForContext(urls) {
-  if (!urls || !urls.length) return '';
-  
-  let allContext = 'Webpage Knowledge Base:\n';
-  
-  for (const url of urls) {
-    try {
-      const webpageData = await fetchWebpageContent(url);
-      allContext += `\nContent from ${url}:\n`;
-      allContext += `Title: ${webpageData.title}\n`;
-      allContext += `Content: ${webpageData.content}\n`;
-    } catch (error) {
-      console.error(`Error fetching content from ${url}:`, error);
+// Function to queue a session's lead in the export outbox. A lead already exported (e.g. when it
+// completed) is exported again only if a field changed since, under new idempotency keys.
+// Queuing the same lead twice is harmless: each sink gets it only once.
+async function exportLead(sessionId) {
+  const session = await ChatSession.findByPk(sessionId, { include: [Bot] });
+  if (!session) return;
+
+  const lead = await getLead(sessionId);
+  let revision = null;
+  if (session.leadExportedAt) {
+    const changedAt = Math.max(0, ...Object.values(lead).map(field => new Date(field.updatedAt).getTime() || 0));
+    if (changedAt <= session.leadExportedAt.getTime()) {
+      console.log('Lead unchanged since its export for session:', sessionId);
+      return;
     }
+    revision = changedAt;
   }
-  
-  return allContext;
+
+  await enqueueLeadExport(session.Bot, sessionId, lead, revision);
+  await markLeadExported(sessionId);
+  processOutbox();
 }
 
-// Function to analyze chat messages and extract variables
-async function analyzeChatForVariables(sessionId) {
-  try {
-    // Get global settings for headers
-    const globalSettings = await GlobalSettings.findByPk(1);
-    const headers = globalSettings?.extractionHeaders || [];
-    
-    if (!headers.length) {
-      console.log('No extraction headers configured');
-      return {};
-    }
+// Function to close a session: extract its variables, export them, then archive it.
+// Returns null if the session does not exist, and the session unchanged if it was already closed.
+async function closeSession(sessionId, endReason) {
+  const session = await ChatSession.findByPk(sessionId, { include: [Bot] });
+  if (!session || session.status === 'closed') return session;
+
+  // Run the final extraction now instead of waiting for a scheduled one
+  cancelScheduledExtraction(sessionId);
+  await analyzeChatForVariables(sessionId);
+  // Queue the lead for the bot's export sinks; if this fails the session stays open and is retried
+  await exportLead(sessionId);
+  // Keep the session and its messages as an archive
+  const closed = await archiveChatSession(session, endReason);
+  agentIo.to(sessionRoom(sessionId)).emit('sessionEnded', { sessionId, endReason });
+  emitToAdmins(session.Bot, 'sessionEnded', { sessionId, endReason });
+  return closed;
+}
 
-    // Get all messages for the session
-    const messages = await Message.findAll({
-      where: { sessionId },
-      order: [['timestamp', 'ASC']]
-    });
+// Chat abuse protection: message size, per-socket, per-IP and global rate limits
+const CHAT_MAX_MESSAGE_LENGTH = parseInt(process.env.CHAT_MAX_MESSAGE_LENGTH, 10) || 2000;
+const CHAT_RATE_LIMIT_WINDOW = parseInt(process.env.CHAT_RATE_LIMIT_WINDOW_MS, 10) || 60000;
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+const socketRateLimiter = createRateLimiter({
+  limit: parseInt(process.env.CHAT_RATE_LIMIT_PER_SOCKET, 10) || 10,
+  windowMs: CHAT_RATE_LIMIT_WINDOW
+});
+const ipRateLimiter = createRateLimiter({
+  limit: parseInt(process.env.CHAT_RATE_LIMIT_PER_IP, 10) || 30,
+  windowMs: CHAT_RATE_LIMIT_WINDOW
+});
+const globalRateLimiter = createRateLimiter({
+  limit: parseInt(process.env.CHAT_RATE_LIMIT_GLOBAL, 10) || 300,
+  windowMs: CHAT_RATE_LIMIT_WINDOW
+});
 
-    // Combine all messages into a single text
-    const chatText = messages.map(m => m.content).join('\n');
-
-    // Create a prompt that specifically asks for the configured headers
-    const extractionPrompt = `Analyze the following chat conversation and extract information for these specific fields: ${headers.join(', ')}. 
-Format the response as a JSON object where each key must exactly match one of these field names: ${headers.join(', ')}. 
-If a field's information is not found in the conversation, set its value to an empty string.
-Only include the specified fields in the response.`;
-
-    // Use OpenAI to analyze the chat and extract variables
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "system",
-          content: extractionPrompt
-        },
-        {
-          role: "user",
-          content: chatText
-        }
-      ],
-      response_format: { type: "json_object" }
-    });
+// Sessions with a completion in flight; a busy session is asked to retry after this delay
+const activeCompletionSessions = new Set();
+const CHAT_BUSY_RETRY_MS = 2000;
 
-    const extractedVariables = JSON.parse(completion.choices[0].message.content);
+// Number of sockets attached to each session; connected sessions never expire
+const connectedSessions = new Map();
 
-    // Log the extraction process
-    console.log('Extraction Headers:', JSON.stringify(headers, null, 2));
-    console.log('Extracted Variables:', JSON.stringify(extractedVariables, null, 2));
+// Customer sockets of a session, and the agents watching it, share a room named after the session
+const sessionRoom = (sessionId) => `session:${sessionId}`;
 
-    // Verify that all headers are present in the extracted variables
-    const missingHeaders = headers.filter(header => !(header in extractedVariables));
-    if (missingHeaders.length > 0) {
-      console.log('Adding missing headers with empty values:', missingHeaders);
-      missingHeaders.forEach(header => {
-        extractedVariables[header] = '';
-      });
+// Function to close sessions that have been idle for longer than the idle timeout
+async function closeIdleSessions() {
+  try {
+    const sessions = await findIdleSessions([...connectedSessions.keys()]);
+    for (const session of sessions) {
+      try {
+        await closeSession(session.sessionId, 'idle');
+        console.log('Idle session closed:', session.sessionId);
+      } catch (error) {
+        console.error(`Error closing idle session ${session.sessionId}:`, error);
+      }
     }
+  } catch (error) {
+    console.error('Error closing idle sessions:', error);
+  }
+}
 
-    // Save extracted variables to database
-    for (const [variableName, variableValue] of Object.entries(extractedVariables)) {
-      await ChatVariable.create({
-        sessionId,
-        variableName,
-        variableValue: String(variableValue)
-      });
+// Check for idle sessions every minute
+setInterval(closeIdleSessions, 60000);
+
+// Purge archived sessions past the retention period once an hour
+setInterval(async () => {
+  try {
+    const purged = await purgeExpiredArchives();
+    if (purged) {
+      console.log(`Purged ${purged} archived sessions`);
     }
+  } catch (error) {
+    console.error('Error purging archived sessions:', error);
+  }
+}, 60 * 60 * 1000);
 
-    return extractedVariables;
+// Add periodic knowledge file scanning
+setInterval(async () => {
+  try {
+    await scanAndProcessFiles();
   } catch (error) {
-    console.error('Error analyzing chat for variables:', error);
-    throw error;
+    console.error('Error in periodic knowledge file scan:', error);
   }
-}
+}, 60000); // Check every minute
+
+// Initial knowledge file scan
+scanAndProcessFiles().catch(error => {
+  console.error('Error in initial knowledge file scan:', error);
+});
 
-// Function to write extracted variables to spreadsheet
-async function writeVariablesToSpreadsheet(sessionId) {
+// Periodically re-index sheets and webpages so edits reach the bot
+const KNOWLEDGE_REFRESH_INTERVAL = parseInt(process.env.KNOWLEDGE_REFRESH_INTERVAL_MS, 10) || 10 * 60 * 1000;
+setInterval(refreshKnowledgeIndex, KNOWLEDGE_REFRESH_INTERVAL);
+
+// Deliver queued lead exports, retrying failed ones once their backoff has passed
+const LEAD_EXPORT_POLL_INTERVAL = parseInt(process.env.LEAD_EXPORT_POLL_INTERVAL_MS, 10) || 15000;
+setInterval(processOutbox, LEAD_EXPORT_POLL_INTERVAL);
+processOutbox();
+
+// Admin listeners connect to /admin with an API key (auth.apiKey) for a live feed of
+// sessionStarted, sessionEnded, sessionUpdated, message, leadUpdated and leadCompleted events.
+// An optional auth.botKey limits the events to one bot.
+const adminIo = io.of('/admin');
+adminIo.use(authenticateSocket);
+adminIo.on('connection', async (socket) => {
   try {
-    // Get global settings
-    const globalSettings = await GlobalSettings.findByPk(1);
-    if (!globalSettings?.targetSpreadsheetId) {
-      console.log('No target spreadsheet configured');
+    const botKey = socket.handshake.auth?.botKey;
+    if (!botKey) {
+      socket.join('bots:all');
       return;
     }
 
-    // Get extracted variables
-    const variables = await ChatVariable.findAll({
-      where: { sessionId },
-      order: [['timestamp', 'DESC']]
-    });
-
-    if (!variables.length) {
-      console.log('No variables to write to spreadsheet');
+    const bot = await Bot.findOne({ where: { key: botKey } });
+    if (!bot) {
+      socket.emit('error', { message: 'Bot not found' });
+      socket.disconnect(true);
       return;
     }
+    socket.join(`bot:${bot.id}`);
+  } catch (error) {
+    console.error('Error in admin connection handler:', error);
+  }
+});
 
-    // Log all extracted variables
-    console.log('Extracted Variables:', JSON.stringify(variables.map(v => ({
-      name: v.variableName,
-      value: v.variableValue
-    })), null, 2));
+// Function to send an event to the admin listeners of all bots and of the given bot
+function emitToAdmins(bot, event, payload) {
+  adminIo.to('bots:all').to(`bot:${bot.id}`).emit(event, { ...payload, botKey: bot.key });
+}
 
-    // Log configured headers
-    const headers = globalSettings.extractionHeaders || [];
-    console.log('Configured Headers:', JSON.stringify(headers, null, 2));
+// Tell admin listeners when a lead field fills in or changes
+leadEvents.on('leadUpdated', ({ sessionId, bot, lead, changed }) => {
+  emitToAdmins(bot, 'leadUpdated', { sessionId, changed, lead });
+});
 
-    // Format variables according to headers
-    const rowData = headers.map(header => {
-      const variable = variables.find(v => v.variableName === header);
-      const value = variable ? variable.variableValue : '';
-      console.log(`Header "${header}" matched with value: "${value}"`);
-      return value;
-    });
+// In slot filling mode, a lead whose collected fields are all valid is completed and exported right away
+leadEvents.on('leadUpdated', async ({ sessionId, bot, lead }) => {
+  try {
+    if (!getSlotFillingSettings(bot).enabled || !isLeadComplete(bot, lead)) return;
+    if (!await markLeadCompleted(sessionId)) return;
+
+    console.log('Lead completed for session:', sessionId);
+    emitToAdmins(bot, 'leadCompleted', { sessionId, lead });
+    await exportLead(sessionId);
+  } catch (error) {
+    console.error('Error completing lead:', error);
+  }
+});
+
+// Staff connect to /agents with an API key (auth.apiKey) of at least the editor role.
+// They can list active sessions, join one to follow it, take it over (pausing the bot),
+// reply to the customer and hand it back to the bot. Sessions of an agent who disconnects
+// are handed back automatically after a grace period.
+const agentIo = io.of('/agents');
+agentIo.use(authenticateSocket);
+agentIo.use(requireSocketRole('editor'));
+
+// Sessions of an agent who disconnects go back to the bot after this long, unless the agent
+// takes them over again first (e.g. after reloading the console)
+const AGENT_RECONNECT_GRACE = parseInt(process.env.AGENT_RECONNECT_GRACE_MS, 10) || 30000;
+const agentReleaseTimers = new Map();
+
+function cancelAgentRelease(sessionId) {
+  clearTimeout(agentReleaseTimers.get(sessionId));
+  agentReleaseTimers.delete(sessionId);
+}
 
-    // Log final row data
-    console.log('Final Row Data:', JSON.stringify(rowData, null, 2));
+// Function to tell the customer, agents and admin listeners that the bot answers again
+function announceHandBack(session, reason) {
+  io.to(sessionRoom(session.sessionId)).emit('agentLeft', {});
+  publishSessionUpdate(session);
+  console.log(`Session ${session.sessionId} handed back to the bot (${reason})`);
+}
 
-    // Write to spreadsheet
-    await sheets.spreadsheets.values.append({
-      spreadsheetId: globalSettings.targetSpreadsheetId,
-      range: 'Sheet1!A:Z',
-      valueInputOption: 'RAW',
-      insertDataOption: 'INSERT_ROWS',
-      resource: {
-        values: [rowData]
+// Function to hand a disconnected agent's session back once the grace period ends
+function scheduleAgentRelease(sessionId, agent) {
+  cancelAgentRelease(sessionId);
+  agentReleaseTimers.set(sessionId, setTimeout(async () => {
+    agentReleaseTimers.delete(sessionId);
+    try {
+      const session = await handBackSession(sessionId, agent);
+      if (session) {
+        announceHandBack(session, `${agent.name} disconnected`);
       }
-    });
+    } catch (error) {
+      console.error('Error handing back session of disconnected agent:', error);
+    }
+  }, AGENT_RECONNECT_GRACE));
+}
 
-    console.log('Successfully wrote variables to spreadsheet');
-  } catch (error) {
-    console.error('Error writing to spreadsheet:', error);
-  }
+// Function to format an active session for the agent console
+function formatAgentSession(session) {
+  return {
+    ...formatSessionSummary(session),
+    bot: { key: session.Bot.key, name: session.Bot.name },
+    connected: connectedSessions.has(session.sessionId),
+    takenOverAt: session.takenOverAt,
+    agentName: session.agentName
+  };
 }
 
-// Add periodic PDF scanning
-setInterval(async () => {
-  try {
-    await scanAndProcessPdfs();
-  } catch (error) {
-    console.error('Error in periodic PDF scan:', error);
-  }
-}, 60000); // Check every minute
+// Function to send a new message to the agents following its session and to admin listeners
+function publishMessage(bot, message) {
+  const payload = { sessionId: message.sessionId, message: formatMessage(message) };
+  agentIo.to(sessionRoom(message.sessionId)).emit('sessionMessage', payload);
+  emitToAdmins(bot, 'message', payload);
+}
+
+// Function to tell agents and admin listeners that a session was taken over or handed back
+function publishSessionUpdate(session) {
+  const payload = {
+    sessionId: session.sessionId,
+    takenOverAt: session.takenOverAt,
+    agentName: session.agentName
+  };
+  agentIo.to(sessionRoom(session.sessionId)).emit('sessionUpdated', payload);
+  emitToAdmins(session.Bot, 'sessionUpdated', payload);
+}
+
+agentIo.on('connection', (socket) => {
+  const agent = socket.data.admin;
+  // Sessions this socket has taken over, handed back if the agent does not return
+  const takenOverSessions = new Set();
+  socket.data.takenOverSessions = takenOverSessions;
+  console.log('Agent connected:', agent.name);
+
+  socket.on('listSessions', async (data) => {
+    try {
+      let botId = null;
+      if (data?.botKey) {
+        const bot = await Bot.findOne({ where: { key: data.botKey } });
+        if (!bot) {
+          socket.emit('error', { message: 'Bot not found' });
+          return;
+        }
+        botId = bot.id;
+      }
+
+      const sessions = await listActiveSessions(botId);
+      socket.emit('sessions', { sessions: sessions.map(formatAgentSession) });
+    } catch (error) {
+      console.error('Error listing sessions for agent:', error);
+      socket.emit('error', { message: 'Error listing sessions' });
+    }
+  });
+
+  // Follow a session: its history now, its new messages as sessionMessage events
+  socket.on('joinSession', async (data) => {
+    try {
+      const session = data?.sessionId ? await ChatSession.findByPk(data.sessionId, { include: [Bot] }) : null;
+      if (!session || session.status !== 'active') {
+        socket.emit('error', { message: 'Session is not active' });
+        return;
+      }
+
+      socket.join(sessionRoom(session.sessionId));
+      socket.emit('sessionJoined', {
+        session: formatAgentSession(session),
+        messages: await getSessionHistory(session.sessionId)
+      });
+    } catch (error) {
+      console.error('Error joining session:', error);
+      socket.emit('error', { message: 'Error joining session' });
+    }
+  });
+
+  socket.on('leaveSession', (data) => {
+    if (data?.sessionId) {
+      socket.leave(sessionRoom(data.sessionId));
+    }
+  });
+
+  // Pause the bot and let this agent answer; stays in effect until someone hands the session back
+  socket.on('takeOver', async (data) => {
+    try {
+      const { session, error } = await takeOverSession(data?.sessionId, agent);
+      if (error) {
+        socket.emit('error', { message: error });
+        return;
+      }
+
+      cancelAgentRelease(session.sessionId);
+      takenOverSessions.add(session.sessionId);
+      const room = sessionRoom(session.sessionId);
+      socket.join(room);
+      io.to(room).emit('agentJoined', { agentName: agent.name });
+      publishSessionUpdate(session);
+      console.log(`Session ${session.sessionId} taken over by ${agent.name}`);
+    } catch (error) {
+      console.error('Error taking over session:', error);
+      socket.emit('error', { message: 'Error taking over session' });
+    }
+  });
+
+  socket.on('agentMessage', async (data) => {
+    try {
+      const text = typeof data?.message === 'string' ? data.message : '';
+      if (!text.trim()) {
+        socket.emit('error', { message: 'Message is empty' });
+        return;
+      }
+      if (text.length > CHAT_MAX_MESSAGE_LENGTH) {
+        socket.emit('error', { message: `Message exceeds ${CHAT_MAX_MESSAGE_LENGTH} characters` });
+        return;
+      }
+
+      const session = data.sessionId ? await ChatSession.findByPk(data.sessionId, { include: [Bot] }) : null;
+      if (!session || session.status !== 'active') {
+        socket.emit('error', { message: 'Session is not active' });
+        return;
+      }
+      if (!session.takenOverAt) {
+        socket.emit('error', { message: 'Take over the session before sending messages' });
+        return;
+      }
+
+      const message = await Message.create({
+        sessionId: session.sessionId,
+        role: 'agent',
+        content: text,
+        agentId: agent.id,
+        agentName: agent.name
+      });
+      await touchSession(session.sessionId);
+
+      // Agent messages reach the customer as one complete reply on the response event
+      io.to(sessionRoom(session.sessionId)).emit('response', {
+        messageId: String(message.id),
+        message: text,
+        role: 'agent',
+        agentName: agent.name
+      });
+      publishMessage(session.Bot, message);
+    } catch (error) {
+      console.error('Error sending agent message:', error);
+      socket.emit('error', { message: 'Error sending message' });
+    }
+  });
+
+  // Give the session back to the bot, which answers the customer's next message again
+  socket.on('handBack', async (data) => {
+    try {
+      const session = data?.sessionId ? await handBackSession(data.sessionId) : null;
+      if (!session) {
+        socket.emit('error', { message: 'Session is not taken over' });
+        return;
+      }
+
+      cancelAgentRelease(session.sessionId);
+      takenOverSessions.delete(session.sessionId);
+      announceHandBack(session, `by ${agent.name}`);
+    } catch (error) {
+      console.error('Error handing session back:', error);
+      socket.emit('error', { message: 'Error handing session back' });
+    }
+  });
 
-// Initial PDF scan
-scanAndProcessPdfs().catch(error => {
-  console.error('Error in initial PDF scan:', error);
+  socket.on('disconnect', () => {
+    console.log('Agent disconnected:', agent.name);
+
+    // Sessions still held through another connection of the same agent stay taken over
+    for (const sessionId of takenOverSessions) {
+      const heldElsewhere = [...agentIo.sockets.values()].some(other =>
+        other.id !== socket.id && other.data.admin.id === agent.id && other.data.admin.name === agent.name &&
+        other.data.takenOverSessions && other.data.takenOverSessions.has(sessionId)
+      );
+      if (!heldElsewhere) {
+        scheduleAgentRelease(sessionId, agent);
+      }
+    }
+  });
 });
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log('New client connected');
 
-  socket.on('startChat', async () => {
+  // Clients pick a bot with a key in the handshake (auth or query) or in startChat
+  const handshakeBotKey = socket.handshake.auth?.botKey || socket.handshake.query?.botKey;
+
+  // In-flight completions for this socket, aborted if the client disconnects
+  const pendingCompletions = new Set();
+
+  // The chat session this socket is attached to
+  let currentSessionId = null;
+
+  // Behind a proxy (TRUST_PROXY=true) the client address comes from X-Forwarded-For
+  const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+  const clientIp = TRUST_PROXY && forwardedFor ? forwardedFor.split(',')[0].trim() : socket.handshake.address;
+
+  const emitRateLimited = (scope, retryAfterMs) => {
+    socket.emit('rateLimited', {
+      scope,
+      retryAfter: Math.ceil(retryAfterMs / 1000),
+      message: scope === 'session'
+        ? 'Please wait for the current reply to finish'
+        : 'Too many messages, please slow down'
+    });
+  };
+
+  const attachSession = (sessionId) => {
+    detachSession();
+    currentSessionId = sessionId;
+    socket.join(sessionRoom(sessionId));
+    connectedSessions.set(sessionId, (connectedSessions.get(sessionId) || 0) + 1);
+  };
+
+  const detachSession = () => {
+    if (!currentSessionId) return;
+    socket.leave(sessionRoom(currentSessionId));
+    const count = (connectedSessions.get(currentSessionId) || 1) - 1;
+    if (count > 0) {
+      connectedSessions.set(currentSessionId, count);
+    } else {
+      connectedSessions.delete(currentSessionId);
+    }
+    currentSessionId = null;
+  };
+
+  // Start a new session, or resume one with the token issued when it was started
+  socket.on('startChat', async (data) => {
     try {
-      const session = await ChatSession.create({
-        sessionId: socket.id
+      const botKey = data?.botKey || handshakeBotKey || DEFAULT_BOT_KEY;
+      const bot = await Bot.findOne({ where: { key: botKey } });
+      if (!bot) {
+        socket.emit('error', { message: 'Bot not found' });
+        return;
+      }
+
+      const sessionToken = data?.sessionToken || socket.handshake.auth?.sessionToken;
+      let session = sessionToken ? await resumeChatSession(sessionToken, bot) : null;
+      const resumed = Boolean(session);
+      if (!session) {
+        session = await createChatSession(bot, parseChannel(data?.channel || socket.handshake.auth?.channel));
+      }
+      attachSession(session.sessionId);
+
+      socket.emit('sessionStarted', {
+        sessionId: session.sessionId,
+        sessionToken: issueSessionToken(session),
+        resumed,
+        messages: resumed ? await getSessionHistory(session.sessionId) : []
       });
-      console.log('New chat session created:', session.sessionId);
+      emitToAdmins(bot, 'sessionStarted', { sessionId: session.sessionId, resumed });
+      console.log(`Chat session ${resumed ? 'resumed' : 'created'} for bot ${bot.key}:`, session.sessionId);
     } catch (error) {
       console.error('Error creating session:', error);
+      socket.emit('error', { message: 'Error starting chat' });
     }
   });
 
+  // Customer typing is only shown to the agents following the session
   socket.on('typing', () => {
-    socket.broadcast.emit('typing', { sessionId: socket.id });
+    if (!currentSessionId) return;
+    agentIo.to(sessionRoom(currentSessionId)).emit('typing', { sessionId: currentSessionId });
   });
 
   socket.on('stopTyping', () => {
-    socket.broadcast.emit('stopTyping', { sessionId: socket.id });
+    if (!currentSessionId) return;
+    agentIo.to(sessionRoom(currentSessionId)).emit('stopTyping', { sessionId: currentSessionId });
   });
 
   socket.on('message', async (data) => {
+    if (!currentSessionId) return;
+    const sessionId = currentSessionId;
+
+    // Reject empty and oversized messages before doing any work
+    const text = typeof data?.message === 'string' ? data.message : '';
+    if (!text.trim()) {
+      socket.emit('error', { message: 'Message is empty' });
+      return;
+    }
+    if (text.length > CHAT_MAX_MESSAGE_LENGTH) {
+      socket.emit('error', { message: `Message exceeds ${CHAT_MAX_MESSAGE_LENGTH} characters` });
+      return;
+    }
+
+    // Only one completion per session at a time
+    if (activeCompletionSessions.has(sessionId)) {
+      emitRateLimited('session', CHAT_BUSY_RETRY_MS);
+      return;
+    }
+
+    const rateLimit = consumeRateLimits([
+      { scope: 'socket', limiter: socketRateLimiter, key: socket.id },
+      { scope: 'ip', limiter: ipRateLimiter, key: clientIp },
+      { scope: 'global', limiter: globalRateLimiter, key: 'global' }
+    ]);
+    if (!rateLimit.allowed) {
+      emitRateLimited(rateLimit.scope, rateLimit.retryAfterMs);
+      return;
+    }
+
+    activeCompletionSessions.add(sessionId);
+    // Replaced by the bot's own policy once the session is loaded
+    let policy = resolveResponsePolicy(null);
     try {
-      const session = await ChatSession.findByPk(socket.id);
+      const session = await ChatSession.findByPk(sessionId, { include: [Bot] });
       if (!session) return;
+      if (session.status !== 'active') {
+        socket.emit('error', { message: 'Session has ended' });
+        return;
+      }
+      const bot = session.Bot;
+      policy = resolveResponsePolicy(bot, session.channel);
+      await touchSession(session.sessionId);
 
       // Add user message
-      await Message.create({
+      const userMessage = await Message.create({
         sessionId: session.sessionId,
         role: 'user',
-        content: data.message
+        content: text
       });
+      publishMessage(bot, userMessage);
+
+      // Update the lead from this turn once the user pauses
+      scheduleExtraction(session.sessionId);
+
+      // While an agent has taken over, the agent answers instead of the bot
+      if (session.takenOverAt) {
+        return;
+      }
 
       // Get conversation history
       const messages = await Message.findAll({
@@ -449,166 +873,405 @@ io.on('connection', (socket) => {
         order: [['timestamp', 'ASC']]
       });
 
-      // Format messages for OpenAI
-      const formattedMessages = messages.map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
-
-      // Get global settings
-      const globalSettings = await GlobalSettings.findByPk(1);
-
-      // Add system prompt
-      let systemPrompt = globalSettings.prompt;
-      systemPrompt += ' Always reply in 3 - 4 short sentences, never as a list, and never with long or detailed answers. Keep your responses concise, conversational, and ensure correct spelling and grammar.';
-      formattedMessages.unshift({
-        role: 'system',
-        content: systemPrompt
-      });
-
-      // If global settings has knowledge base sheets, fetch and add them to context
-      if (globalSettings.knowledgeBaseSheetIds && globalSettings.knowledgeBaseSheetIds.length > 0) {
-        try {
-          const knowledgeContext = await formatAllSheetDataForContext(globalSettings.knowledgeBaseSheetIds);
-          
-          // Add knowledge base context as a system message
-          formattedMessages.unshift({
-            role: 'system',
-            content: `Additional Context:\n${knowledgeContext}`
-          });
-        } catch (error) {
-          console.error('Error fetching knowledge bases:', error);
-        }
-      }
+      // Add system prompt with the reply style of the bot and channel
+      const systemPrompt = `${bot.prompt} ${buildStyleInstruction(policy)}`;
 
-      // If global settings has webpage knowledge bases, fetch and add them to context
-      if (globalSettings.knowledgeBaseUrls && globalSettings.knowledgeBaseUrls.length > 0) {
-        try {
-          const webpageContext = await formatAllWebpageContentForContext(globalSettings.knowledgeBaseUrls);
-          
-          // Add webpage context as a system message
-          formattedMessages.unshift({
-            role: 'system',
-            content: `Additional Context:\n${webpageContext}`
-          });
-        } catch (error) {
-          console.error('Error fetching webpage content:', error);
+      // In slot filling mode, steer the reply towards a missing lead field at suitable turns
+      const instructions = [];
+      try {
+        const userTurn = messages.filter(msg => msg.role === 'user').length;
+        const field = planSlotAsk(bot, session, await getLead(session.sessionId), userTurn);
+        if (field) {
+          instructions.push(buildSlotFillingInstruction(field));
+          await recordSlotAsk(session, userTurn);
         }
+      } catch (error) {
+        console.error('Error planning slot filling question:', error);
       }
 
-      // Add PDF knowledge base context
+      // Add only the knowledge base passages relevant to this question
+      let knowledgeChunks = [];
       try {
-        const pdfContext = await getAllPdfContentForContext();
-        if (pdfContext) {
-          formattedMessages.unshift({
-            role: 'system',
-            content: `Additional Context:\n${pdfContext}`
-          });
-        }
+        knowledgeChunks = await retrieveRelevantChunks(bot.id, text);
       } catch (error) {
-        console.error('Error fetching PDF content:', error);
+        console.error('Error retrieving knowledge base context:', error);
       }
 
+      // Fit the prompt, knowledge and history in the token budget; older turns become a summary
+      const { messages: formattedMessages, layout } = await buildChatContext({
+        bot,
+        session,
+        history: messages,
+        systemPrompt,
+        knowledgeChunks,
+        instructions
+      });
+      await ChatSession.update({ contextLayout: layout }, { where: { sessionId: session.sessionId } });
+
+      // The reply goes to every socket attached to the session
+      const sessionSockets = io.to(sessionRoom(session.sessionId));
+
       // Emit typing indicator
-      socket.emit('typing', { sessionId: 'assistant' });
+      sessionSockets.emit('typing', { sessionId: 'assistant' });
 
-      // Get response from OpenAI
-      const completion = await openai.chat.completions.create({
-        model: "gpt-4o", 
-        messages: formattedMessages
-      });
+      // Stream the response with the bot's chat model
+      const messageId = crypto.randomUUID();
+      const controller = new AbortController();
+      pendingCompletions.add(controller);
+
+      let assistantMessage = '';
+      // Characters of assistantMessage already sent as responseChunk
+      let sentLength = 0;
+      let truncated = false;
+      try {
+        const stream = streamChat(getModelSettings(bot, 'chat'), formattedMessages, { signal: controller.signal });
+
+        for await (const chunk of stream) {
+          // Stop typing indicator once text starts arriving
+          if (!assistantMessage) {
+            sessionSockets.emit('stopTyping', { sessionId: 'assistant' });
+          }
+          assistantMessage += chunk;
+          // Stop streaming past the policy's max length; leaving the loop ends the completion
+          if (policy.maxLength && assistantMessage.length > policy.maxLength) {
+            truncated = true;
+            break;
+          }
+          // With a max length only full sentences are sent, so a cut reply never takes back streamed text
+          const sendLength = policy.maxLength
+            ? lastSentenceEnd(assistantMessage, policy.maxLength, { complete: false })
+            : assistantMessage.length;
+          if (sendLength > sentLength) {
+            sessionSockets.emit('responseChunk', { messageId, delta: assistantMessage.slice(sentLength, sendLength) });
+            sentLength = sendLength;
+          }
+        }
+      } catch (error) {
+        if (controller.signal.aborted) {
+          console.log('Completion cancelled for disconnected client:', session.sessionId);
+          return;
+        }
+        throw error;
+      } finally {
+        pendingCompletions.delete(controller);
+      }
 
-      // Limit response length
-      const assistantMessageRaw = completion.choices[0].message.content;
-      const MAX_LENGTH = 500;
-      let assistantMessage = assistantMessageRaw;
-      if (assistantMessage.length > MAX_LENGTH) {
-        assistantMessage = assistantMessage.slice(0, MAX_LENGTH) + '...';
+      if (!assistantMessage) {
+        sessionSockets.emit('stopTyping', { sessionId: 'assistant' });
       }
-      console.log('Assistant message to send:', assistantMessage);
 
-      // Stop typing indicator
-      socket.emit('stopTyping', { sessionId: 'assistant' });
+      // A cut reply ends at its last full sentence; an empty one is replaced by the fallback
+      if (truncated) {
+        assistantMessage = truncateReply(assistantMessage, policy.maxLength);
+      }
+      const fallback = !assistantMessage.trim();
+      if (fallback) {
+        assistantMessage = policy.fallbacks.empty;
+      } else if (assistantMessage.length > sentLength) {
+        // Send what is left after the last streamed sentence
+        sessionSockets.emit('responseChunk', { messageId, delta: assistantMessage.slice(sentLength) });
+      }
 
-      // Save assistant's response
-      await Message.create({
+      // Save assistant's full response
+      const reply = await Message.create({
         sessionId: session.sessionId,
         role: 'assistant',
-        content: assistantMessage
+        content: assistantMessage,
+        promptVersion: bot.activePromptVersion
       });
-
-      // Send response back to client
-      socket.emit('response', {
-        message: assistantMessage
+      publishMessage(bot, reply);
+      console.log(`Assistant message ${reply.id} sent for session:`, session.sessionId);
+
+      // Signal the end of the stream with the complete text; clients show it instead of the
+      // streamed text, which differs only when the reply was replaced by a fallback
+      sessionSockets.emit('responseEnd', {
+        messageId,
+        message: assistantMessage,
+        truncated,
+        fallback
+      });
+      // The complete reply also goes out on the response event, as it did before streaming, for
+      // widgets that do not stream; streaming clients skip the messageId they already ended
+      sessionSockets.emit('response', {
+        messageId,
+        message: assistantMessage,
+        role: 'assistant'
       });
     } catch (error) {
       console.error('Error:', error);
-      socket.emit('error', { message: 'An error occurred' });
+      socket.emit('error', { message: policy.fallbacks.error });
+    } finally {
+      activeCompletionSessions.delete(sessionId);
     }
   });
 
+  // Ends the socket's own session, or the session of data.sessionToken (data.sessionId alone is not enough)
   socket.on('deleteSession', async (data) => {
-    const sessionId = data.sessionId || socket.id;
+    let sessionId = currentSessionId;
+    if (data?.sessionToken) {
+      const payload = verifySessionToken(data.sessionToken);
+      sessionId = payload ? payload.sessionId : null;
+    }
+    if (!sessionId || (data?.sessionId && data.sessionId !== sessionId)) {
+      socket.emit('error', { message: 'Not allowed to end this session' });
+      return;
+    }
     try {
-      // Analyze chat for variables before deleting
-      await analyzeChatForVariables(sessionId);
-      // Write variables to spreadsheet
-      await writeVariablesToSpreadsheet(sessionId);
-      // Delete all messages associated with the session
-      await Message.destroy({ where: { sessionId } });
-      // Delete the session
-      await ChatSession.destroy({ where: { sessionId } });
-      console.log('Session deleted via websocket:', sessionId);
+      if (sessionId === currentSessionId) {
+        detachSession();
+      }
+      await closeSession(sessionId, 'client');
+      console.log('Session closed via websocket:', sessionId);
       // Optionally, emit an event back to the client if you want to confirm deletion
       socket.emit('sessionDeleted', { sessionId });
     } catch (error) {
-      console.error('Error deleting session via websocket:', error);
+      console.error('Error closing session via websocket:', error);
       socket.emit('error', { message: 'Error deleting session' });
     }
   });
 
   socket.on('disconnect', () => {
     console.log('Client disconnected');
-    // Delete session and associated messages when client disconnects
-    (async () => {
-      try {
-        // Extract variables before deleting
-        await analyzeChatForVariables(socket.id);
-        
-        // Write variables to spreadsheet
-        await writeVariablesToSpreadsheet(socket.id);
-
-        // Delete all messages associated with the session
-        await Message.destroy({
-          where: { sessionId: socket.id }
-        });
+    const sessionId = currentSessionId;
+    detachSession();
 
-        // Delete the session
-        await ChatSession.destroy({
-          where: { sessionId: socket.id }
-        });
+    // Cancel any completions still streaming to this client, unless another socket of the session receives them
+    if (!sessionId || !connectedSessions.has(sessionId)) {
+      for (const controller of pendingCompletions) {
+        controller.abort();
+      }
+      pendingCompletions.clear();
+    }
 
-        console.log('Session deleted on disconnect:', socket.id);
-      } catch (error) {
+    // Keep the session so the client can resume it; it is closed once idle for too long
+    if (sessionId) {
+      touchSession(sessionId).catch(error => {
         console.error('Error in disconnect handler:', error);
-      }
-    })();
+      });
+    }
   });
 });
 
-// Admin routes
-app.get('/api/sessions', async (req, res) => {
-  try {
-    const sessions = await ChatSession.findAll({
-      include: [{
-        model: Message,
-        attributes: ['id']
-      }]
-    });
-    
+// Function to format a bot for the admin API
+function formatBot(bot) {
+  return {
+    id: bot.id,
+    key: bot.key,
+    name: bot.name,
+    createdAt: bot.createdAt,
+    updatedAt: bot.updatedAt
+  };
+}
+
+// Bot keys are used in URLs, socket handshakes and directory names
+const BOT_KEY_PATTERN = /^[a-z0-9-]{2,64}$/;
+
+// Every admin route needs an API key; viewers may read, editors may change settings
+app.use('/api', authenticateAdmin, authorizeByMethod, auditChanges);
+
+// Bot management routes
+app.get('/api/bots', async (req, res) => {
+  try {
+    const bots = await Bot.findAll({ order: [['createdAt', 'ASC']] });
+    res.json({ bots: bots.map(formatBot) });
+  } catch (error) {
+    console.error('Error fetching bots:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/bots', requireRole('owner'), async (req, res) => {
+  try {
+    const { key, name, prompt } = req.body;
+    if (typeof key !== 'string' || !BOT_KEY_PATTERN.test(key)) {
+      return res.status(400).json({ error: 'key must be 2-64 lowercase letters, digits or dashes' });
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const [bot, created] = await Bot.findOrCreate({
+      where: { key },
+      defaults: {
+        name: name.trim(),
+        prompt: prompt || "You are a helpful assistant."
+      }
+    });
+    if (!created) {
+      return res.status(409).json({ error: 'A bot with this key already exists' });
+    }
+    await ensurePromptVersion(bot, req.admin.name);
+
+    res.status(201).json({ success: true, bot: formatBot(bot) });
+  } catch (error) {
+    console.error('Error creating bot:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.patch('/api/bots/:botKey', async (req, res) => {
+  try {
+    const bot = await Bot.findOne({ where: { key: req.params.botKey } });
+    if (!bot) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+
+    const { name } = req.body;
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'name must be a non-empty string' });
+      }
+      bot.name = name.trim();
+    }
+    await bot.save();
+
+    res.json({ success: true, bot: formatBot(bot) });
+  } catch (error) {
+    console.error('Error updating bot:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// API key management (owners only)
+app.get('/api/admin/api-keys', requireRole('owner'), async (req, res) => {
+  try {
+    const apiKeys = await AdminApiKey.findAll({ order: [['createdAt', 'ASC']] });
+    res.json({ apiKeys: apiKeys.map(formatApiKey) });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/admin/api-keys', requireRole('owner'), async (req, res) => {
+  try {
+    const { name, role } = req.body;
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const { apiKey, record } = await createApiKey(name.trim(), role);
+
+    // The key is only shown once
+    res.status(201).json({ success: true, apiKey, key: formatApiKey(record) });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.delete('/api/admin/api-keys/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const record = await AdminApiKey.findByPk(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date();
+      await record.save();
+    }
+
+    res.json({ success: true, key: formatApiKey(record) });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the audit log, newest first (?botKey=, ?actor=, ?limit=)
+app.get('/api/admin/audit-log', requireRole('owner'), async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.botKey) {
+      const bot = await Bot.findOne({ where: { key: req.query.botKey } });
+      if (!bot) {
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+      where.botId = bot.id;
+    }
+    if (req.query.actor) {
+      where.actor = req.query.actor;
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+    const entries = await AuditLog.findAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit
+    });
+
+    res.json({ entries });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Function to load the bot an admin request is scoped to.
+// Routes under /api/bots/:botKey use that bot; the older /api routes use the default bot.
+async function loadBot(req, res, next) {
+  try {
+    const bot = await Bot.findOne({ where: { key: req.params.botKey || DEFAULT_BOT_KEY } });
+    if (!bot) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+    req.bot = bot;
+    next();
+  } catch (error) {
+    console.error('Error loading bot:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// Admin routes, scoped to a bot
+const botRouter = express.Router();
+app.use('/api/bots/:botKey', loadBot, botRouter);
+app.use('/api', loadBot, botRouter);
+
+// Sessions per page of GET /sessions unless ?limit= asks for another size (at most 500)
+const SESSIONS_PAGE_SIZE = parseInt(process.env.SESSIONS_PAGE_SIZE, 10) || 50;
+
+// List a bot's sessions, newest first; ?status=active or ?status=closed narrows the list.
+// Paginated with ?limit= and ?offset=; the X-Total-Count header holds the number of matching sessions.
+botRouter.get('/sessions', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && status !== 'active' && status !== 'closed') {
+      return res.status(400).json({ error: "status must be 'active' or 'closed'" });
+    }
+
+    const where = { botId: req.bot.id };
+    if (status) {
+      where.status = status;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || SESSIONS_PAGE_SIZE, 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const [total, sessions] = await Promise.all([
+      ChatSession.count({ where }),
+      ChatSession.findAll({
+        where,
+        include: [{
+          model: Message,
+          attributes: ['id']
+        }],
+        // sessionId keeps the order stable between pages for sessions created at the same time
+        order: [['createdAt', 'DESC'], ['sessionId', 'ASC']],
+        limit,
+        offset
+      })
+    ]);
+    res.set('X-Total-Count', String(total));
+
     const formattedSessions = sessions.map(session => ({
-      sessionId: session.sessionId,
+      ...formatSessionSummary(session),
+      messageCount: session.Messages.length,
       prompt: session.prompt,
+      connected: connectedSessions.has(session.sessionId),
       messages: session.Messages
     }));
     
@@ -619,70 +1282,192 @@ app.get('/api/sessions', async (req, res) => {
   }
 });
 
-app.delete('/api/sessions/:sessionId', async (req, res) => {
+botRouter.delete('/sessions/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const session = await ChatSession.findOne({ where: { sessionId, botId: req.bot.id } });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const closed = await closeSession(sessionId, 'admin');
     
-    // Analyze chat for variables before deleting
-    await analyzeChatForVariables(sessionId);
-    
-    // Write variables to spreadsheet
-    await writeVariablesToSpreadsheet(sessionId);
-    
-    // Delete the session and its messages
-    await Message.destroy({ where: { sessionId } });
-    await ChatSession.destroy({ where: { sessionId } });
-    
-    res.json({ success: true });
+    res.json({ success: true, session: formatSessionSummary(closed) });
   } catch (error) {
-    console.error('Error deleting session:', error);
+    console.error('Error closing session:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.post('/api/prompt', async (req, res) => {
+// Get a session's full transcript as JSON, CSV or plain text (?format=json|csv|text)
+botRouter.get('/sessions/:sessionId/transcript', async (req, res) => {
   try {
-    const { prompt } = req.body;
-    const globalSettings = await GlobalSettings.findByPk(1);
-    
-    if (!globalSettings) {
-      return res.status(404).json({ error: 'Global settings not found' });
+    const format = req.query.format || 'json';
+    if (!['json', 'csv', 'text'].includes(format)) {
+      return res.status(400).json({ error: "format must be 'json', 'csv' or 'text'" });
+    }
+
+    const transcript = await getTranscript(req.bot.id, req.params.sessionId);
+    if (!transcript) {
+      return res.status(404).json({ error: 'Session not found' });
     }
 
-    globalSettings.prompt = prompt;
-    await globalSettings.save();
+    const fileName = `transcript-${transcript.session.sessionId}`;
+    if (format === 'csv') {
+      res.type('text/csv');
+      res.attachment(`${fileName}.csv`);
+      return res.send(formatTranscriptCsv(transcript));
+    }
+    if (format === 'text') {
+      res.type('text/plain');
+      res.attachment(`${fileName}.txt`);
+      return res.send(formatTranscriptText(transcript));
+    }
+    if (req.query.download !== undefined) {
+      res.attachment(`${fileName}.json`);
+    }
+    res.json(transcript);
+  } catch (error) {
+    console.error('Error fetching transcript:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the rolling summary and the token layout of the last context sent to the chat model
+botRouter.get('/sessions/:sessionId/context', async (req, res) => {
+  try {
+    const session = await ChatSession.findOne({ where: { sessionId: req.params.sessionId, botId: req.bot.id } });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({
+      sessionId: session.sessionId,
+      historySummary: session.historySummary,
+      summarizedThroughId: session.summarizedThroughId,
+      layout: session.contextLayout
+    });
+  } catch (error) {
+    console.error('Error fetching session context:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Save the prompt as a new version and make it active
+botRouter.post('/prompt', async (req, res) => {
+  try {
+    const { prompt, note } = req.body;
+    const { bot } = req;
+
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+      return res.status(400).json({ error: 'prompt is required' });
+    }
+
+    const promptVersion = await savePromptVersion(bot, {
+      prompt,
+      author: req.admin.name,
+      note: typeof note === 'string' ? note : null
+    });
     
-    res.json({ success: true });
+    res.json({ success: true, version: formatPromptVersion(promptVersion, bot) });
   } catch (error) {
     console.error('Error updating prompt:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.get('/api/prompt', async (req, res) => {
+botRouter.get('/prompt', async (req, res) => {
   try {
-    const globalSettings = await GlobalSettings.findByPk(1);
-    
-    if (!globalSettings) {
-      return res.status(404).json({ error: 'Global settings not found' });
-    }
+    const { bot } = req;
 
-    res.json({ prompt: globalSettings.prompt });
+    res.json({ prompt: bot.prompt, version: bot.activePromptVersion });
   } catch (error) {
     console.error('Error fetching prompt:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+botRouter.get('/prompt/versions', async (req, res) => {
+  try {
+    const { bot } = req;
+    const versions = await listPromptVersions(bot.id);
+
+    res.json({
+      activeVersion: bot.activePromptVersion,
+      versions: versions.map(promptVersion => formatPromptVersion(promptVersion, bot))
+    });
+  } catch (error) {
+    console.error('Error fetching prompt versions:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Diff two prompt versions (?from=<version>&to=<version>, "to" defaults to the active one)
+botRouter.get('/prompt/diff', async (req, res) => {
+  try {
+    const { bot } = req;
+    const from = parseInt(req.query.from, 10);
+    const to = req.query.to !== undefined ? parseInt(req.query.to, 10) : bot.activePromptVersion;
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ error: 'from and to must be version numbers' });
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([
+      getPromptVersion(bot.id, from),
+      getPromptVersion(bot.id, to)
+    ]);
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+
+    const changes = diffLines(fromVersion.prompt, toVersion.prompt);
+    res.json({
+      from: formatPromptVersion(fromVersion, bot),
+      to: formatPromptVersion(toVersion, bot),
+      changes,
+      diff: formatDiff(changes)
+    });
+  } catch (error) {
+    console.error('Error diffing prompt versions:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+botRouter.get('/prompt/versions/:version', async (req, res) => {
+  try {
+    const promptVersion = await getPromptVersion(req.bot.id, parseInt(req.params.version, 10) || 0);
+    if (!promptVersion) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+
+    res.json({ version: formatPromptVersion(promptVersion, req.bot) });
+  } catch (error) {
+    console.error('Error fetching prompt version:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Roll back (or forward) to a saved prompt version
+botRouter.post('/prompt/versions/:version/activate', async (req, res) => {
+  try {
+    const { bot } = req;
+    const promptVersion = await activatePromptVersion(bot, parseInt(req.params.version, 10) || 0);
+    if (!promptVersion) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+
+    res.json({ success: true, version: formatPromptVersion(promptVersion, bot) });
+  } catch (error) {
+    console.error('Error activating prompt version:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Update knowledge base routes to handle multiple sheets and URLs
-app.post('/api/knowledge-base', async (req, res) => {
+botRouter.post('/knowledge-base', async (req, res) => {
   try {
     const { sheetId, action } = req.body;
-    const globalSettings = await GlobalSettings.findByPk(1);
-    
-    if (!globalSettings) {
-      return res.status(404).json({ error: 'Global settings not found' });
-    }
+    const { bot } = req;
 
     // Validate sheet access
     try {
@@ -693,19 +1478,30 @@ app.post('/api/knowledge-base', async (req, res) => {
     }
 
     if (action === 'add') {
-      if (!globalSettings.knowledgeBaseSheetIds.includes(sheetId)) {
-        globalSettings.knowledgeBaseSheetIds = [...(globalSettings.knowledgeBaseSheetIds || []), sheetId];
+      if (!bot.knowledgeBaseSheetIds.includes(sheetId)) {
+        bot.knowledgeBaseSheetIds = [...(bot.knowledgeBaseSheetIds || []), sheetId];
       }
     } else if (action === 'remove') {
-      globalSettings.knowledgeBaseSheetIds = (globalSettings.knowledgeBaseSheetIds || []).filter(id => id !== sheetId);
+      bot.knowledgeBaseSheetIds = (bot.knowledgeBaseSheetIds || []).filter(id => id !== sheetId);
     }
 
-    await globalSettings.save();
+    await bot.save();
+
+    // Sync the sheet and update the retrieval index in the background
+    if (action === 'add') {
+      syncSheetSnapshot(sheetId)
+        .then(snapshot => indexSheet(bot.id, snapshot))
+        .catch(error => console.error(`Error indexing sheet ${sheetId}:`, error));
+    } else if (action === 'remove') {
+      removeSource(bot.id, 'sheet', sheetId)
+        .then(() => removeUnusedSheetSnapshot(sheetId))
+        .catch(error => console.error(`Error removing sheet ${sheetId} from index:`, error));
+    }
     
     // Return the updated list of sheet IDs
     res.json({ 
       success: true, 
-      sheetIds: globalSettings.knowledgeBaseSheetIds || [] 
+      sheetIds: bot.knowledgeBaseSheetIds || [] 
     });
   } catch (error) {
     console.error('Error updating knowledge base:', error);
@@ -713,82 +1509,266 @@ app.post('/api/knowledge-base', async (req, res) => {
   }
 });
 
-app.get('/api/knowledge-base', async (req, res) => {
+botRouter.get('/knowledge-base', async (req, res) => {
   try {
-    const globalSettings = await GlobalSettings.findByPk(1);
-    
-    if (!globalSettings) {
-      return res.status(404).json({ error: 'Global settings not found' });
-    }
+    const { bot } = req;
 
     // Ensure we always return an array
-    const sheetIds = globalSettings.knowledgeBaseSheetIds || [];
+    const sheetIds = bot.knowledgeBaseSheetIds || [];
     console.log('Returning sheet IDs:', sheetIds); // Debug log
-    res.json({ sheetIds });
+
+    const snapshots = await SheetSnapshot.findAll({
+      where: { sheetId: sheetIds },
+      attributes: { exclude: ['values'] }
+    });
+    const snapshotById = Object.fromEntries(snapshots.map(s => [s.sheetId, s]));
+
+    res.json({
+      sheetIds,
+      sheets: sheetIds.map(sheetId => formatSheetStatus(sheetId, snapshotById[sheetId]))
+    });
   } catch (error) {
     console.error('Error fetching knowledge base:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.post('/api/knowledge-base-url', async (req, res) => {
+// Re-sync a knowledge base sheet right away
+botRouter.post('/knowledge-base/:sheetId/resync', async (req, res) => {
   try {
-    const { url, action } = req.body;
-    const globalSettings = await GlobalSettings.findByPk(1);
-    
-    if (!globalSettings) {
-      return res.status(404).json({ error: 'Global settings not found' });
+    const { sheetId } = req.params;
+    const { bot } = req;
+    if (!(bot.knowledgeBaseSheetIds || []).includes(sheetId)) {
+      return res.status(404).json({ error: 'Sheet is not part of the knowledge base' });
     }
 
-    // Validate URL and try to fetch content
+    let snapshot;
     try {
-      await fetchWebpageContent(url);
+      snapshot = await syncSheetSnapshot(sheetId);
     } catch (error) {
-      return res.status(400).json({ error: 'Invalid or inaccessible URL' });
+      const failed = await SheetSnapshot.findByPk(sheetId, { attributes: { exclude: ['values'] } });
+      return res.status(502).json({ error: 'Error syncing sheet', sheet: formatSheetStatus(sheetId, failed) });
     }
+    await indexSheet(bot.id, snapshot);
+
+    res.json({ success: true, sheet: formatSheetStatus(sheetId, snapshot) });
+  } catch (error) {
+    console.error('Error re-syncing sheet:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+botRouter.post('/knowledge-base-url', async (req, res) => {
+  try {
+    const { url, action, includeSelectors, excludeSelectors } = req.body;
+    const { bot } = req;
 
     if (action === 'add') {
-      if (!globalSettings.knowledgeBaseUrls.includes(url)) {
-        globalSettings.knowledgeBaseUrls = [...globalSettings.knowledgeBaseUrls, url];
+      if ((includeSelectors !== undefined && !isValidSelectorList(includeSelectors)) ||
+        (excludeSelectors !== undefined && !isValidSelectorList(excludeSelectors))) {
+        return res.status(400).json({ error: 'includeSelectors and excludeSelectors must be arrays of CSS selectors' });
+      }
+
+      // Selectors given with the request replace the URL's current ones
+      const allSelectors = bot.knowledgeBaseUrlSelectors || {};
+      const selectors = {
+        includeSelectors: includeSelectors || (allSelectors[url] || {}).includeSelectors || [],
+        excludeSelectors: excludeSelectors || (allSelectors[url] || {}).excludeSelectors || []
+      };
+
+      // Validate URL by fetching it; the result becomes the cached snapshot
+      let snapshot;
+      try {
+        snapshot = await refreshWebpageSnapshot(bot.id, url, selectors);
+      } catch (error) {
+        if (!bot.knowledgeBaseUrls.includes(url)) {
+          await removeWebpageSnapshot(bot.id, url);
+        }
+        return res.status(400).json({ error: 'Invalid or inaccessible URL' });
       }
+
+      if (!bot.knowledgeBaseUrls.includes(url)) {
+        bot.knowledgeBaseUrls = [...bot.knowledgeBaseUrls, url];
+      }
+      bot.knowledgeBaseUrlSelectors = { ...allSelectors, [url]: selectors };
+      await bot.save();
+
+      // Update the retrieval index in the background
+      indexWebpage(bot.id, snapshot).catch(error => console.error(`Error indexing webpage ${url}:`, error));
     } else if (action === 'remove') {
-      globalSettings.knowledgeBaseUrls = globalSettings.knowledgeBaseUrls.filter(u => u !== url);
-    }
+      bot.knowledgeBaseUrls = bot.knowledgeBaseUrls.filter(u => u !== url);
+      const { [url]: removedSelectors, ...remainingSelectors } = bot.knowledgeBaseUrlSelectors || {};
+      bot.knowledgeBaseUrlSelectors = remainingSelectors;
+      await bot.save();
 
-    await globalSettings.save();
+      await removeWebpageSnapshot(bot.id, url);
+      removeSource(bot.id, 'webpage', url).catch(error => console.error(`Error removing webpage ${url} from index:`, error));
+    }
     
-    res.json({ success: true, urls: globalSettings.knowledgeBaseUrls });
+    res.json({ success: true, urls: bot.knowledgeBaseUrls });
   } catch (error) {
     console.error('Error updating webpage knowledge base:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.get('/api/knowledge-base-url', async (req, res) => {
+botRouter.get('/knowledge-base-url', async (req, res) => {
   try {
-    const globalSettings = await GlobalSettings.findByPk(1);
-    
-    if (!globalSettings) {
-      return res.status(404).json({ error: 'Global settings not found' });
-    }
+    const { bot } = req;
 
-    res.json({ urls: globalSettings.knowledgeBaseUrls || [] });
+    const urls = bot.knowledgeBaseUrls || [];
+    const snapshots = await WebpageSnapshot.findAll({
+      where: { botId: bot.id, url: urls },
+      attributes: ['url', 'title', 'lastFetchedAt', 'lastError', 'lastErrorAt']
+    });
+    const snapshotByUrl = Object.fromEntries(snapshots.map(s => [s.url, s]));
+
+    const selectorsByUrl = bot.knowledgeBaseUrlSelectors || {};
+
+    res.json({
+      urls,
+      sources: urls.map(url => ({
+        ...formatSnapshotStatus(url, snapshotByUrl[url]),
+        includeSelectors: (selectorsByUrl[url] || {}).includeSelectors || [],
+        excludeSelectors: (selectorsByUrl[url] || {}).excludeSelectors || []
+      }))
+    });
   } catch (error) {
     console.error('Error fetching webpage knowledge base:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Register a site (root URL or sitemap.xml) to crawl into the knowledge base
+botRouter.post('/knowledge-base-crawls', async (req, res) => {
+  try {
+    const { url, maxDepth, maxPages, allowedPathPrefixes, includeSelectors, excludeSelectors } = req.body;
+
+    let rootUrl;
+    try {
+      rootUrl = new URL(url);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid URL' });
+    }
+    if (rootUrl.protocol !== 'http:' && rootUrl.protocol !== 'https:') {
+      return res.status(400).json({ error: 'Invalid URL' });
+    }
+    if (allowedPathPrefixes !== undefined &&
+      (!Array.isArray(allowedPathPrefixes) || allowedPathPrefixes.some(p => typeof p !== 'string' || !p.startsWith('/')))) {
+      return res.status(400).json({ error: 'allowedPathPrefixes must be an array of paths starting with /' });
+    }
+    if ((includeSelectors !== undefined && !isValidSelectorList(includeSelectors)) ||
+      (excludeSelectors !== undefined && !isValidSelectorList(excludeSelectors))) {
+      return res.status(400).json({ error: 'includeSelectors and excludeSelectors must be arrays of CSS selectors' });
+    }
+
+    const crawlSource = await CrawlSource.create({
+      botId: req.bot.id,
+      rootUrl: rootUrl.toString(),
+      isSitemap: isSitemapUrl(rootUrl.toString()),
+      maxDepth: Number.isInteger(maxDepth) && maxDepth >= 0 ? maxDepth : undefined,
+      maxPages: Number.isInteger(maxPages) && maxPages > 0 ? maxPages : undefined,
+      allowedPathPrefixes: allowedPathPrefixes || [],
+      includeSelectors: includeSelectors || [],
+      excludeSelectors: excludeSelectors || []
+    });
+
+    startCrawl(crawlSource.id);
+
+    res.status(202).json({ success: true, crawl: formatCrawlStatus(crawlSource) });
+  } catch (error) {
+    console.error('Error registering crawl source:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+botRouter.get('/knowledge-base-crawls', async (req, res) => {
+  try {
+    const crawlSources = await CrawlSource.findAll({
+      where: { botId: req.bot.id },
+      order: [['createdAt', 'ASC']]
+    });
+    res.json({ crawls: crawlSources.map(formatCrawlStatus) });
+  } catch (error) {
+    console.error('Error fetching crawl sources:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get a crawl's progress together with the pages it stored
+botRouter.get('/knowledge-base-crawls/:id', async (req, res) => {
+  try {
+    const crawlSource = await CrawlSource.findOne({ where: { id: req.params.id, botId: req.bot.id } });
+    if (!crawlSource) {
+      return res.status(404).json({ error: 'Crawl source not found' });
+    }
+
+    const pages = await WebpageSnapshot.findAll({
+      where: { crawlSourceId: crawlSource.id },
+      attributes: ['url', 'title', 'lastFetchedAt', 'lastError', 'lastErrorAt'],
+      order: [['url', 'ASC']]
+    });
+
+    res.json({
+      crawl: formatCrawlStatus(crawlSource),
+      pages: pages.map(page => formatSnapshotStatus(page.url, page))
+    });
+  } catch (error) {
+    console.error('Error fetching crawl source:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+botRouter.post('/knowledge-base-crawls/:id/recrawl', async (req, res) => {
+  try {
+    const crawlSource = await CrawlSource.findOne({ where: { id: req.params.id, botId: req.bot.id } });
+    if (!crawlSource) {
+      return res.status(404).json({ error: 'Crawl source not found' });
+    }
+
+    startCrawl(crawlSource.id);
+
+    res.status(202).json({ success: true });
+  } catch (error) {
+    console.error('Error starting re-crawl:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+botRouter.delete('/knowledge-base-crawls/:id', async (req, res) => {
+  try {
+    const crawlSource = await CrawlSource.findOne({ where: { id: req.params.id, botId: req.bot.id } });
+    if (!crawlSource) {
+      return res.status(404).json({ error: 'Crawl source not found' });
+    }
+    if (formatCrawlStatus(crawlSource).running) {
+      return res.status(409).json({ error: 'Crawl is still running' });
+    }
+
+    await deleteCrawlSource(crawlSource);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting crawl source:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get extracted variables for a session
-app.get('/api/sessions/:sessionId/variables', async (req, res) => {
+botRouter.get('/sessions/:sessionId/variables', async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const session = await ChatSession.findOne({ where: { sessionId, botId: req.bot.id } });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
     const variables = await ChatVariable.findAll({
       where: { sessionId },
       order: [['timestamp', 'DESC']]
     });
     
-    res.json({ variables });
+    res.json({ variables, lead: await getLead(sessionId) });
   } catch (error) {
     console.error('Error fetching variables:', error);
     res.status(500).json({ error: 'Server error' });
@@ -796,17 +1776,16 @@ app.get('/api/sessions/:sessionId/variables', async (req, res) => {
 });
 
 // Get extraction settings
-app.get('/api/extraction-settings', async (req, res) => {
+botRouter.get('/extraction-settings', async (req, res) => {
   try {
-    const globalSettings = await GlobalSettings.findByPk(1);
-    
-    if (!globalSettings) {
-      return res.status(404).json({ error: 'Global settings not found' });
-    }
+    const { bot } = req;
 
     res.json({
-      headers: globalSettings.extractionHeaders || [],
-      targetSpreadsheetId: globalSettings.targetSpreadsheetId
+      headers: bot.extractionHeaders || [],
+      fields: bot.extractionFields || [],
+      slotFilling: getSlotFillingSettings(bot),
+      targetSpreadsheetId: bot.targetSpreadsheetId,
+      targetSpreadsheetOptions: bot.targetSpreadsheetOptions || {}
     });
   } catch (error) {
     console.error('Error fetching extraction settings:', error);
@@ -815,71 +1794,389 @@ app.get('/api/extraction-settings', async (req, res) => {
 });
 
 // Update extraction headers
-app.post('/api/extraction-headers', async (req, res) => {
+botRouter.post('/extraction-headers', async (req, res) => {
   try {
     const { headers } = req.body;
-    const globalSettings = await GlobalSettings.findByPk(1);
-    
-    if (!globalSettings) {
-      return res.status(404).json({ error: 'Global settings not found' });
+    const { bot } = req;
+
+    if (!Array.isArray(headers) || headers.some(header => typeof header !== 'string' || !header.trim())) {
+      return res.status(400).json({ error: 'headers must be an array of names' });
     }
 
     console.log('Updating extraction headers:');
-    console.log('Previous headers:', JSON.stringify(globalSettings.extractionHeaders || [], null, 2));
+    console.log('Previous headers:', JSON.stringify(bot.extractionHeaders || [], null, 2));
     console.log('New headers:', JSON.stringify(headers, null, 2));
 
-    globalSettings.extractionHeaders = headers;
-    await globalSettings.save();
+    // Plain headers keep the definitions of fields that already exist; new ones are strings
+    bot.extractionHeaders = headers;
+    bot.extractionFields = fieldsFromHeaders(headers, bot.extractionFields || []);
+    bot.slotFilling = pruneSlotFillingFields(bot.slotFilling, bot.extractionFields);
+    await bot.save();
     
     console.log('Headers updated successfully');
     
-    res.json({ success: true, headers: globalSettings.extractionHeaders });
+    res.json({ success: true, headers: bot.extractionHeaders, fields: bot.extractionFields });
   } catch (error) {
     console.error('Error updating extraction headers:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Update target spreadsheet
-app.post('/api/target-spreadsheet', async (req, res) => {
+// Update the typed extraction fields; their names become the extraction headers
+botRouter.post('/extraction-fields', async (req, res) => {
+  try {
+    const { fields } = req.body;
+    const { bot } = req;
+
+    const validationError = validateFieldDefinitions(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    bot.extractionFields = normalizeFieldDefinitions(fields);
+    bot.extractionHeaders = bot.extractionFields.map(field => field.name);
+    bot.slotFilling = pruneSlotFillingFields(bot.slotFilling, bot.extractionFields);
+    await bot.save();
+
+    res.json({ success: true, headers: bot.extractionHeaders, fields: bot.extractionFields });
+  } catch (error) {
+    console.error('Error updating extraction fields:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the model settings of the chat, extraction and summary steps
+botRouter.get('/model-settings', async (req, res) => {
+  try {
+    res.json({
+      chat: getModelSettings(req.bot, 'chat'),
+      extraction: getModelSettings(req.bot, 'extraction'),
+      summary: getModelSettings(req.bot, 'summary'),
+      providers: PROVIDERS
+    });
+  } catch (error) {
+    console.error('Error fetching model settings:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update the model settings; e.g. { "chat": { "model": "gpt-4o", "temperature": 0.3 }, "extraction": { ... } }
+botRouter.post('/model-settings', async (req, res) => {
+  try {
+    const { bot } = req;
+
+    const validationError = validateModelSettings(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    bot.modelSettings = normalizeModelSettings(req.body, bot.modelSettings || {});
+    await bot.save();
+
+    res.json({
+      success: true,
+      chat: getModelSettings(bot, 'chat'),
+      extraction: getModelSettings(bot, 'extraction'),
+      summary: getModelSettings(bot, 'summary')
+    });
+  } catch (error) {
+    console.error('Error updating model settings:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the response policy, with every setting the bot leaves out filled in from the defaults
+botRouter.get('/response-policy', async (req, res) => {
+  try {
+    res.json({
+      responsePolicy: { ...resolveResponsePolicy(req.bot), channels: (req.bot.responsePolicy || {}).channels || {} }
+    });
+  } catch (error) {
+    console.error('Error fetching response policy:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update the response policy; e.g. { "maxLength": 400, "allowLists": true, "channels": { "whatsapp": { "allowMarkdown": false } } }
+// Settings left out keep their current value; channels replaces all channel overrides
+botRouter.post('/response-policy', async (req, res) => {
+  try {
+    const { bot } = req;
+
+    const validationError = validateResponsePolicy(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    bot.responsePolicy = { ...(bot.responsePolicy || {}), ...normalizeResponsePolicy(req.body) };
+    await bot.save();
+
+    res.json({
+      success: true,
+      responsePolicy: { ...resolveResponsePolicy(bot), channels: bot.responsePolicy.channels || {} }
+    });
+  } catch (error) {
+    console.error('Error updating response policy:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the slot filling settings
+botRouter.get('/slot-filling', async (req, res) => {
+  try {
+    res.json({ slotFilling: getSlotFillingSettings(req.bot) });
+  } catch (error) {
+    console.error('Error fetching slot filling settings:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update the slot filling settings; settings left out keep their current value
+botRouter.post('/slot-filling', async (req, res) => {
+  try {
+    const { bot } = req;
+
+    const validationError = validateSlotFillingSettings(req.body, bot.extractionFields || []);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    bot.slotFilling = normalizeSlotFillingSettings(req.body, bot.slotFilling);
+    await bot.save();
+
+    res.json({ success: true, slotFilling: getSlotFillingSettings(bot) });
+  } catch (error) {
+    console.error('Error updating slot filling settings:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update target spreadsheet; optional sheetName (default: first tab) and metadataColumns
+botRouter.post('/target-spreadsheet', async (req, res) => {
   try {
     const { spreadsheetId } = req.body;
-    const globalSettings = await GlobalSettings.findByPk(1);
-    
-    if (!globalSettings) {
-      return res.status(404).json({ error: 'Global settings not found' });
+    const { bot } = req;
+
+    // Options left out keep their current value
+    const options = { ...(bot.targetSpreadsheetOptions || {}) };
+    for (const key of ['sheetName', 'metadataColumns']) {
+      if (req.body[key] !== undefined) {
+        options[key] = req.body[key];
+      }
+    }
+    const validationError = validateSheetConfig({ spreadsheetId, ...options });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
     // Validate sheet access
+    let spreadsheet;
     try {
-      await sheets.spreadsheets.get({ spreadsheetId });
+      spreadsheet = await sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties.title' });
     } catch (error) {
       console.error('Error validating sheet access:', error);
       return res.status(400).json({ error: 'Invalid or inaccessible Google Sheet ID' });
     }
 
-    globalSettings.targetSpreadsheetId = spreadsheetId;
-    await globalSettings.save();
+    const tabs = (spreadsheet.data.sheets || []).map(sheet => sheet.properties.title);
+    if (options.sheetName && !tabs.includes(options.sheetName)) {
+      return res.status(400).json({ error: `Tab "${options.sheetName}" not found; available: ${tabs.join(', ')}` });
+    }
+
+    bot.targetSpreadsheetId = spreadsheetId;
+    bot.targetSpreadsheetOptions = options;
+    await bot.save();
     
-    res.json({ success: true, targetSpreadsheetId: globalSettings.targetSpreadsheetId });
+    res.json({
+      success: true,
+      targetSpreadsheetId: bot.targetSpreadsheetId,
+      targetSpreadsheetOptions: bot.targetSpreadsheetOptions
+    });
   } catch (error) {
     console.error('Error updating target spreadsheet:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Add new endpoint to get PDF knowledge base status
-app.get('/api/knowledge-base-pdfs', async (req, res) => {
+// Function to check that the service account can open a spreadsheet
+async function canAccessSpreadsheet(spreadsheetId) {
+  try {
+    await sheets.spreadsheets.get({ spreadsheetId });
+    return true;
+  } catch (error) {
+    console.error('Error validating sheet access:', error);
+    return false;
+  }
+}
+
+// Get the export sinks, including the target spreadsheet
+botRouter.get('/export-sinks', async (req, res) => {
   try {
-    const globalSettings = await GlobalSettings.findByPk(1);
-    if (!globalSettings) {
-      return res.status(404).json({ error: 'Global settings not found' });
+    res.json({
+      sinks: getBotSinks(req.bot).map(formatSink),
+      types: Object.keys(SINK_TYPES)
+    });
+  } catch (error) {
+    console.error('Error fetching export sinks:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add an export sink
+botRouter.post('/export-sinks', async (req, res) => {
+  try {
+    const { bot } = req;
+
+    const validationError = validateSink(req.body, bot.extractionFields || []);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    const pdfs = globalSettings.knowledgeBasePdfPaths.map(filePath => ({
-      name: path.basename(filePath),
-      path: filePath
-    }));
+    if (req.body.type === 'sheets' && !await canAccessSpreadsheet(req.body.config.spreadsheetId)) {
+      return res.status(400).json({ error: 'Invalid or inaccessible Google Sheet ID' });
+    }
+
+    const sink = normalizeSink(req.body);
+    bot.exportSinks = [...(bot.exportSinks || []), sink];
+    await bot.save();
+
+    res.status(201).json({ success: true, sink: formatSink(sink) });
+  } catch (error) {
+    console.error('Error adding export sink:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update an export sink; properties left out keep their current value
+botRouter.put('/export-sinks/:sinkId', async (req, res) => {
+  try {
+    const { bot } = req;
+    const existing = (bot.exportSinks || []).find(sink => sink.id === req.params.sinkId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Export sink not found' });
+    }
+
+    const updated = mergeSinkUpdate(existing, req.body || {});
+    const validationError = validateSink(updated, bot.extractionFields || []);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (updated.type === 'sheets' && updated.config.spreadsheetId !== existing.config.spreadsheetId &&
+      !await canAccessSpreadsheet(updated.config.spreadsheetId)) {
+      return res.status(400).json({ error: 'Invalid or inaccessible Google Sheet ID' });
+    }
+
+    const sink = normalizeSink(updated, existing);
+    bot.exportSinks = bot.exportSinks.map(item => item.id === sink.id ? sink : item);
+    await bot.save();
+
+    res.json({ success: true, sink: formatSink(sink) });
+  } catch (error) {
+    console.error('Error updating export sink:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove an export sink
+botRouter.delete('/export-sinks/:sinkId', async (req, res) => {
+  try {
+    const { bot } = req;
+    const sinks = bot.exportSinks || [];
+    if (!sinks.some(sink => sink.id === req.params.sinkId)) {
+      return res.status(404).json({ error: 'Export sink not found' });
+    }
+
+    bot.exportSinks = sinks.filter(sink => sink.id !== req.params.sinkId);
+    await bot.save();
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing export sink:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List lead exports from the outbox; ?status=pending|delivered|dead|discarded
+botRouter.get('/exports', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !EXPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${EXPORT_STATUSES.join(', ')}` });
+    }
+
+    const { leadExports, counts } = await listLeadExports(req.bot.id, { status });
+    res.json({ exports: leadExports.map(formatLeadExport), counts });
+  } catch (error) {
+    console.error('Error fetching lead exports:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Queue a failed or discarded lead export again
+botRouter.post('/exports/:exportId/retry', async (req, res) => {
+  try {
+    const leadExport = await getLeadExport(req.bot.id, parseInt(req.params.exportId, 10) || 0);
+    if (!leadExport) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+    if (leadExport.status === 'delivered') {
+      return res.status(409).json({ error: 'Export has already been delivered' });
+    }
+
+    await retryLeadExport(leadExport);
+    res.json({ success: true, export: formatLeadExport(leadExport) });
+  } catch (error) {
+    console.error('Error retrying lead export:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Stop delivering a lead export
+botRouter.post('/exports/:exportId/discard', async (req, res) => {
+  try {
+    const leadExport = await getLeadExport(req.bot.id, parseInt(req.params.exportId, 10) || 0);
+    if (!leadExport) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+    if (leadExport.status === 'delivered') {
+      return res.status(409).json({ error: 'Export has already been delivered' });
+    }
+
+    await discardLeadExport(leadExport);
+    res.json({ success: true, export: formatLeadExport(leadExport) });
+  } catch (error) {
+    console.error('Error discarding lead export:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Format a stored knowledge file for the admin API
+function formatKnowledgeFile(filePath, content) {
+  return {
+    name: path.basename(filePath),
+    path: filePath,
+    format: content ? content.format : null,
+    status: content ? content.status : 'pending',
+    error: content ? content.error : null,
+    updatedAt: content ? content.updatedAt : null
+  };
+}
+
+// Add new endpoint to get file knowledge base status
+botRouter.get('/knowledge-base-pdfs', async (req, res) => {
+  try {
+    const { bot } = req;
+
+    const contents = await PdfContent.findAll({
+      where: { filePath: bot.knowledgeBasePdfPaths },
+      attributes: ['filePath', 'format', 'status', 'error', 'updatedAt']
+    });
+    const contentByPath = Object.fromEntries(contents.map(c => [c.filePath, c]));
+
+    const pdfs = bot.knowledgeBasePdfPaths.map(filePath =>
+      formatKnowledgeFile(filePath, contentByPath[filePath])
+    );
 
     res.json({ pdfs });
   } catch (error) {
@@ -888,6 +2185,100 @@ app.get('/api/knowledge-base-pdfs', async (req, res) => {
   }
 });
 
+// Upload a knowledge file; ingestion starts immediately in the background.
+// An existing file of the same name is only replaced with ?replace=true (409 otherwise).
+botRouter.post('/knowledge-base-pdfs', (req, res) => {
+  knowledgeFileUpload.single('file')(req, res, async (uploadError) => {
+    if (uploadError) {
+      if (uploadError.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `File exceeds the ${KNOWLEDGE_FILE_MAX_BYTES} byte limit` });
+      }
+      console.error('Error receiving knowledge file upload:', uploadError);
+      return res.status(400).json({ error: 'Invalid upload' });
+    }
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+
+      const fileName = sanitizeFileName(req.file.originalname);
+      if (!fileName || !isSupportedFile(fileName)) {
+        return res.status(400).json({
+          error: `Unsupported file type. Allowed: ${supportedExtensions.join(', ')}`
+        });
+      }
+
+      const contentError = checkFileContent(fileName, req.file.buffer);
+      if (contentError) {
+        return res.status(400).json({ error: contentError });
+      }
+
+      // A file of the same name is only replaced on request; it keeps its stored name
+      const existingPath = await resolveKnowledgeFilePath(req.bot, fileName);
+      if (existingPath && req.query.replace !== 'true') {
+        return res.status(409).json({ error: 'A file with this name already exists; upload with ?replace=true to replace it' });
+      }
+
+      const botDir = getKnowledgeFileDir(req.bot);
+      await fs.mkdir(botDir, { recursive: true });
+      const filePath = existingPath || path.join(botDir, fileName);
+      await fs.writeFile(filePath, req.file.buffer);
+
+      ingestKnowledgeFile(req.bot, filePath).catch(error => {
+        console.error(`Error ingesting uploaded file ${filePath}:`, error);
+      });
+
+      res.status(202).json({ success: true, pdf: formatKnowledgeFile(filePath, null) });
+    } catch (error) {
+      console.error('Error uploading knowledge file:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+});
+
+// Re-process a knowledge file (e.g. after a failed extraction)
+botRouter.post('/knowledge-base-pdfs/:name/reprocess', async (req, res) => {
+  try {
+    const filePath = await resolveKnowledgeFilePath(req.bot, req.params.name);
+    if (!filePath) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    try {
+      await fs.access(filePath);
+    } catch (error) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    ingestKnowledgeFile(req.bot, filePath).catch(error => {
+      console.error(`Error re-processing file ${filePath}:`, error);
+    });
+
+    res.status(202).json({ success: true });
+  } catch (error) {
+    console.error('Error re-processing knowledge file:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a knowledge file and everything derived from it
+botRouter.delete('/knowledge-base-pdfs/:name', async (req, res) => {
+  try {
+    const filePath = await resolveKnowledgeFilePath(req.bot, req.params.name);
+    if (!filePath) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    await deleteKnowledgeFile(req.bot, filePath);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting knowledge file:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,107 @@
+const { sheets, drive } = require('./googleClient');
+const { SheetSnapshot } = require('./db-setup');
+
+// Sheets are always re-read after this long, even if Drive reports no change
+const SHEET_REFRESH_INTERVAL = parseInt(process.env.SHEET_REFRESH_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+// Function to fetch data from Google Sheet
+async function fetchSheetData(sheetId) {
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId: sheetId,
+    range: 'A:Z', // Adjust range as needed
+  });
+  return response.data.values || [];
+}
+
+// Function to read a sheet's Drive metadata; returns null when Drive access is not available
+async function fetchSheetMetadata(sheetId) {
+  try {
+    const response = await drive.files.get({
+      fileId: sheetId,
+      fields: 'name,modifiedTime',
+      supportsAllDrives: true
+    });
+    return response.data;
+  } catch (error) {
+    console.error(`Error reading Drive metadata for sheet ${sheetId}:`, error.message);
+    return null;
+  }
+}
+
+// Function to fetch a sheet and store it as the cached snapshot.
+// A failed fetch is recorded on the snapshot and the previous rows are kept.
+async function syncSheetSnapshot(sheetId, metadata) {
+  const [snapshot] = await SheetSnapshot.findOrCreate({ where: { sheetId } });
+
+  try {
+    const meta = metadata === undefined ? await fetchSheetMetadata(sheetId) : metadata;
+    const values = await fetchSheetData(sheetId);
+
+    snapshot.values = values;
+    snapshot.rowCount = Math.max(values.length - 1, 0);
+    snapshot.title = meta ? meta.name : snapshot.title;
+    snapshot.modifiedTime = meta ? new Date(meta.modifiedTime) : null;
+    snapshot.lastSyncedAt = new Date();
+    snapshot.lastError = null;
+    await snapshot.save();
+    console.log(`Synced sheet ${sheetId} (${snapshot.rowCount} rows)`);
+  } catch (error) {
+    console.error(`Error syncing sheet ${sheetId}:`, error.message);
+    snapshot.lastError = error.message;
+    snapshot.lastErrorAt = new Date();
+    await snapshot.save();
+    throw error;
+  }
+
+  return snapshot;
+}
+
+// Function to get a sheet snapshot, re-syncing it when Drive reports a newer
+// modifiedTime or the refresh interval has passed. Returns the last good
+// snapshot (or null) if the sync fails.
+async function getSheetSnapshot(sheetId) {
+  const snapshot = await SheetSnapshot.findByPk(sheetId);
+
+  let needsSync = !snapshot || !snapshot.lastSyncedAt ||
+    Date.now() - snapshot.lastSyncedAt.getTime() >= SHEET_REFRESH_INTERVAL;
+  let metadata;
+  if (!needsSync) {
+    metadata = await fetchSheetMetadata(sheetId);
+    needsSync = Boolean(metadata && (!snapshot.modifiedTime ||
+      new Date(metadata.modifiedTime).getTime() !== snapshot.modifiedTime.getTime()));
+  }
+
+  if (!needsSync) {
+    return snapshot;
+  }
+
+  try {
+    return await syncSheetSnapshot(sheetId, metadata);
+  } catch (error) {
+    return snapshot && snapshot.lastSyncedAt ? snapshot : null;
+  }
+}
+
+async function removeSheetSnapshot(sheetId) {
+  await SheetSnapshot.destroy({ where: { sheetId } });
+}
+
+// Function to format a snapshot's sync status for the admin API
+function formatSheetStatus(sheetId, snapshot) {
+  return {
+    sheetId,
+    title: snapshot ? snapshot.title : null,
+    rowCount: snapshot ? snapshot.rowCount : null,
+    modifiedTime: snapshot ? snapshot.modifiedTime : null,
+    lastSyncedAt: snapshot ? snapshot.lastSyncedAt : null,
+    lastError: snapshot ? snapshot.lastError : null,
+    lastErrorAt: snapshot ? snapshot.lastErrorAt : null
+  };
+}
+
+module.exports = {
+  syncSheetSnapshot,
+  getSheetSnapshot,
+  removeSheetSnapshot,
+  formatSheetStatus
+};
@@ -0,0 +1,143 @@
+const { sheets } = require('./googleClient');
+
+// Optional columns describing the lead rather than holding an extracted field
+const METADATA_COLUMNS = {
+  sessionId: 'Session ID',
+  exportedAt: 'Timestamp',
+  bot: 'Bot',
+  transcriptLink: 'Transcript'
+};
+
+// Link written to the Transcript column, e.g. https://admin.example.com/bots/{botKey}/sessions/{sessionId}
+const TRANSCRIPT_LINK_TEMPLATE = process.env.TRANSCRIPT_LINK_TEMPLATE || '';
+
+// Writes to one tab are queued so two leads never add the same missing header twice
+const tabQueues = new Map();
+
+function runQueued(key, task) {
+  const previous = tabQueues.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(task);
+  tabQueues.set(key, run);
+  return run.finally(() => {
+    if (tabQueues.get(key) === run) {
+      tabQueues.delete(key);
+    }
+  });
+}
+
+function quoteSheetName(name) {
+  return `'${name.replace(/'/g, "''")}'`;
+}
+
+// Function to turn a zero-based column index into its letter (0 -> A, 26 -> AA)
+function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase();
+
+// Function to find the tab to write to: the configured one, or else the first tab of the spreadsheet
+async function resolveSheetName(config) {
+  // Sinks saved with a range (e.g. "Sheet1!A:Z") keep writing to the range's tab
+  const configured = config.sheetName || (config.range ? config.range.split('!')[0].replace(/^'|'$/g, '') : '');
+
+  const response = await sheets.spreadsheets.get({
+    spreadsheetId: config.spreadsheetId,
+    fields: 'sheets.properties.title'
+  });
+  const titles = (response.data.sheets || []).map(sheet => sheet.properties.title);
+  if (!configured) {
+    if (!titles.length) throw new Error('Spreadsheet has no tabs');
+    return titles[0];
+  }
+  if (!titles.includes(configured)) {
+    throw new Error(`Tab "${configured}" not found in spreadsheet; available: ${titles.join(', ')}`);
+  }
+  return configured;
+}
+
+function buildTranscriptLink(record) {
+  if (!TRANSCRIPT_LINK_TEMPLATE) return '';
+  return TRANSCRIPT_LINK_TEMPLATE
+    .replace(/\{botKey\}/g, encodeURIComponent(record.botKey))
+    .replace(/\{sessionId\}/g, encodeURIComponent(record.sessionId));
+}
+
+// Function to list the header names and values of a lead row, metadata columns first
+function buildColumns(record, metadataColumns = []) {
+  const metadataValues = {
+    sessionId: record.sessionId,
+    exportedAt: record.exportedAt,
+    bot: record.botKey,
+    transcriptLink: buildTranscriptLink(record)
+  };
+  return [
+    ...metadataColumns.map(column => ({ header: METADATA_COLUMNS[column], value: metadataValues[column] })),
+    ...record.values.map(({ name, value }) => ({ header: name, value }))
+  ];
+}
+
+// Function to append a lead to a spreadsheet by header name. The tab's first row is read as
+// the header row; headers the lead needs but the row lacks are added after the last one.
+async function appendLeadRow(config, record) {
+  const sheetName = await resolveSheetName(config);
+  const tab = quoteSheetName(sheetName);
+
+  await runQueued(`${config.spreadsheetId}:${sheetName}`, async () => {
+    const headerResponse = await sheets.spreadsheets.values.get({
+      spreadsheetId: config.spreadsheetId,
+      range: `${tab}!1:1`
+    });
+    const headers = [...((headerResponse.data.values && headerResponse.data.values[0]) || [])];
+    // Trailing empty cells are not returned, but empty cells between headers are kept
+    const headerIndex = new Map();
+    headers.forEach((header, index) => {
+      const key = normalizeHeader(header);
+      if (key && !headerIndex.has(key)) headerIndex.set(key, index);
+    });
+
+    const columns = buildColumns(record, config.metadataColumns);
+    const missing = [];
+    for (const { header } of columns) {
+      const key = normalizeHeader(header);
+      if (!headerIndex.has(key) && !missing.some(item => normalizeHeader(item) === key)) {
+        missing.push(header);
+      }
+    }
+    if (missing.length) {
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: config.spreadsheetId,
+        range: `${tab}!${columnLetter(headers.length)}1`,
+        valueInputOption: 'RAW',
+        resource: { values: [missing] }
+      });
+      missing.forEach((header, offset) => headerIndex.set(normalizeHeader(header), headers.length + offset));
+      console.log(`Added headers to "${sheetName}":`, missing.join(', '));
+    }
+
+    const row = new Array(headers.length + missing.length).fill('');
+    for (const column of columns) {
+      row[headerIndex.get(normalizeHeader(column.header))] = column.value === null || column.value === undefined
+        ? ''
+        : column.value;
+    }
+
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: config.spreadsheetId,
+      range: `${tab}!A1`,
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      resource: { values: [row] }
+    });
+  });
+}
+
+module.exports = {
+  METADATA_COLUMNS,
+  columnLetter,
+  appendLeadRow
+};
@@ -0,0 +1,150 @@
+const { ChatSession } = require('./db-setup');
+
+// Settings used for anything a bot does not configure
+const SLOT_FILLING_DEFAULTS = {
+  enabled: false,
+  // Field names to collect, most important first; empty collects the required fields in order
+  fields: [],
+  // Most times the bot asks for missing fields in one session
+  maxAsks: 3,
+  // User turns to wait after an ask before asking again
+  turnsBetweenAsks: 2,
+  // First user turn at which the bot may ask, so the opening question is answered first
+  firstAskTurn: 2
+};
+
+const NUMBER_SETTINGS = ['maxAsks', 'turnsBetweenAsks', 'firstAskTurn'];
+
+function getSlotFillingSettings(bot) {
+  return { ...SLOT_FILLING_DEFAULTS, ...(bot.slotFilling || {}) };
+}
+
+// Function to check slot filling settings against the bot's extraction fields; returns an error message or null
+function validateSlotFillingSettings(settings, extractionFields) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'Slot filling settings must be an object';
+  }
+  if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  if (settings.fields !== undefined) {
+    if (!Array.isArray(settings.fields) || settings.fields.some(name => typeof name !== 'string')) {
+      return 'fields must be an array of field names';
+    }
+    const unknown = settings.fields.find(name => !extractionFields.some(field => field.name === name));
+    if (unknown) {
+      return `Unknown extraction field: ${unknown}`;
+    }
+    if (new Set(settings.fields).size !== settings.fields.length) {
+      return 'fields must not repeat a field';
+    }
+  }
+  for (const name of NUMBER_SETTINGS) {
+    if (settings[name] !== undefined && (!Number.isInteger(settings[name]) || settings[name] < 0)) {
+      return `${name} must be a whole number of at least 0`;
+    }
+  }
+  return null;
+}
+
+// Function to store only the known slot filling settings
+function normalizeSlotFillingSettings(settings, current = {}) {
+  const merged = { ...SLOT_FILLING_DEFAULTS, ...current, ...settings };
+  return {
+    enabled: merged.enabled,
+    fields: merged.fields,
+    maxAsks: merged.maxAsks,
+    turnsBetweenAsks: merged.turnsBetweenAsks,
+    firstAskTurn: merged.firstAskTurn
+  };
+}
+
+// Function to drop fields that no longer exist from the settings after the extraction fields change
+function pruneSlotFillingFields(settings, extractionFields) {
+  if (!settings?.fields) return settings;
+  return {
+    ...settings,
+    fields: settings.fields.filter(name => extractionFields.some(field => field.name === name))
+  };
+}
+
+// Function to get the fields the bot collects, in the order it asks for them
+function getSlotFields(bot) {
+  const fields = bot.extractionFields || [];
+  const { fields: priority } = getSlotFillingSettings(bot);
+  if (!priority.length) {
+    return fields.filter(field => field.required);
+  }
+  return priority
+    .map(name => fields.find(field => field.name === name))
+    .filter(Boolean);
+}
+
+function isCaptured(lead, field) {
+  const entry = lead[field.name];
+  return Boolean(entry && entry.status === 'valid' && entry.value);
+}
+
+// Function to get the collected fields that have no valid value yet, in priority order
+function getMissingSlotFields(bot, lead) {
+  return getSlotFields(bot).filter(field => !isCaptured(lead, field));
+}
+
+// Function to check whether every collected field of a lead has a valid value
+function isLeadComplete(bot, lead) {
+  return getSlotFields(bot).length > 0 && getMissingSlotFields(bot, lead).length === 0;
+}
+
+// Function to pick the field the bot should ask for on this user turn, or null if it should not ask
+function planSlotAsk(bot, session, lead, userTurn) {
+  const settings = getSlotFillingSettings(bot);
+  if (!settings.enabled || session.leadCompletedAt) return null;
+  if (session.slotAskCount >= settings.maxAsks) return null;
+  if (userTurn < settings.firstAskTurn) return null;
+  if (session.lastSlotAskTurn !== null && userTurn - session.lastSlotAskTurn <= settings.turnsBetweenAsks) {
+    return null;
+  }
+  return getMissingSlotFields(bot, lead)[0] || null;
+}
+
+// Function to build the system instruction steering the assistant to ask for a field
+function buildSlotFillingInstruction(field) {
+  const hint = field.description ? ` (${field.description})` : '';
+  return `After answering the user's message, politely ask for their ${field.name}${hint}. ` +
+    'Ask for this one detail only, in a single natural sentence at the end of your reply. ' +
+    'Do not ask if the user has just given it or has said they do not want to share it.';
+}
+
+// Function to count an ask so the cap and spacing apply to the following turns
+async function recordSlotAsk(session, userTurn) {
+  session.slotAskCount += 1;
+  session.lastSlotAskTurn = userTurn;
+  await ChatSession.update(
+    { slotAskCount: session.slotAskCount, lastSlotAskTurn: userTurn },
+    { where: { sessionId: session.sessionId } }
+  );
+}
+
+// Function to mark a lead completed; returns false if it already was or the session has ended
+async function markLeadCompleted(sessionId) {
+  const [updated] = await ChatSession.update(
+    { leadCompletedAt: new Date() },
+    { where: { sessionId, status: 'active', leadCompletedAt: null } }
+  );
+  return updated > 0;
+}
+
+module.exports = {
+  SLOT_FILLING_DEFAULTS,
+  getSlotFillingSettings,
+  validateSlotFillingSettings,
+  normalizeSlotFillingSettings,
+  pruneSlotFillingFields,
+  getSlotFields,
+  getMissingSlotFields,
+  isLeadComplete,
+  planSlotAsk,
+  buildSlotFillingInstruction,
+  recordSlotAsk,
+  markLeadCompleted
+};
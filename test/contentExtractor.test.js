@@ -0,0 +1,56 @@
+// Checks the content extractor against saved pages in test/fixtures/extractor.
+// Each <name>.html is extracted and compared with <name>.expected.md.
+// Run with: npm test (or node test/contentExtractor.test.js)
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { extractMainContent } = require('../contentExtractor');
+const { check, run } = require('./helpers');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'extractor');
+
+// Expected page titles and descriptions; the content is compared with the .expected.md files
+const EXPECTED_META = {
+  article: {
+    title: 'Caring for Olive Trees',
+    description: 'How to water, prune and feed olive trees in pots and gardens.'
+  },
+  noise: { title: 'Opening Hours - City Bakery', description: '' },
+  table: { title: 'Shipping Rates', description: '' },
+  'no-main': { title: 'Shop', description: '' }
+};
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.html'))
+  .map(file => path.basename(file, '.html'));
+
+for (const name of fixtures) {
+  check(`extracts ${name}.html`, () => {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+    const expected = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.expected.md`), 'utf8').replace(/\n$/, '');
+    const result = extractMainContent(html);
+
+    assert.strictEqual(result.content, expected);
+    if (EXPECTED_META[name]) {
+      assert.strictEqual(result.title, EXPECTED_META[name].title);
+      assert.strictEqual(result.description, EXPECTED_META[name].description);
+    }
+  });
+}
+
+check('limits extraction to includeSelectors', () => {
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, 'table.html'), 'utf8');
+  const { content } = extractMainContent(html, { includeSelectors: ['table'] });
+  assert.ok(content.startsWith('| Region | Delivery time | Price |'));
+  assert.ok(!content.includes('Shipping Rates'));
+});
+
+check('removes excludeSelectors', () => {
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, 'article.html'), 'utf8');
+  const { content } = extractMainContent(html, { excludeSelectors: ['blockquote', 'pre'] });
+  assert.ok(!content.includes('grandchildren'));
+  assert.ok(!content.includes('fertiliser'));
+  assert.ok(content.includes('## Pruning'));
+});
+
+run();
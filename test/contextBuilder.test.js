@@ -0,0 +1,97 @@
+// Checks that the chat context stays within its token budget and older history is summarized
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgres://localhost/test';
+process.env.CONTEXT_TOKEN_BUDGET = '300';
+
+const assert = require('assert');
+const { ChatSession } = require('../db-setup');
+const llmProvider = require('../llmProvider');
+const { check, run } = require('./helpers');
+
+// contextBuilder takes completeChat when it loads, so the stub goes in first
+const summaryRequests = [];
+let failSummary = false;
+llmProvider.completeChat = async (settings, messages) => {
+  if (failSummary) throw new Error('summary failed');
+  summaryRequests.push(messages);
+  return 'Customer Ann asked about prices.';
+};
+const updates = [];
+ChatSession.update = async (values, options) => {
+  updates.push({ values, options });
+  return [1];
+};
+
+const { buildChatContext } = require('../contextBuilder');
+
+const bot = { modelSettings: { summary: { provider: 'fake' } } };
+const history = (count) => Array.from({ length: count }, (_, index) => ({
+  id: index + 1,
+  role: index % 2 ? 'assistant' : 'user',
+  content: `Message ${index + 1} about opening hours, prices and delivery options for the shop.`
+}));
+const reset = () => {
+  summaryRequests.length = 0;
+  updates.length = 0;
+  failSummary = false;
+};
+
+check('sends the whole history when it fits', async () => {
+  reset();
+  const session = { sessionId: 's1' };
+  const { messages, layout } = await buildChatContext({ bot, session, history: history(4), systemPrompt: 'Be helpful.' });
+  assert.strictEqual(messages.length, 5);
+  assert.strictEqual(layout.history.included, 4);
+  assert.strictEqual(summaryRequests.length, 0);
+  assert.strictEqual(updates.length, 0);
+});
+
+check('summarizes older history and keeps the newest within half the budget', async () => {
+  reset();
+  const session = { sessionId: 's2' };
+  const { messages, layout } = await buildChatContext({
+    bot, session, history: history(30), systemPrompt: 'Be helpful.', instructions: ['Answer in English.']
+  });
+
+  assert.ok(layout.totalTokens <= layout.budget, `${layout.totalTokens} tokens over the budget`);
+  assert.strictEqual(summaryRequests.length, 1);
+  const keptIds = layout.parts.filter(part => part.part === 'history').map(part => part.messageId);
+  assert.strictEqual(keptIds[keptIds.length - 1], 30);
+  const historyTokens = layout.parts.filter(part => part.part === 'history').reduce((total, part) => total + part.tokens, 0);
+  assert.ok(historyTokens <= layout.budget / 2);
+
+  assert.strictEqual(session.summarizedThroughId, keptIds[0] - 1);
+  assert.deepStrictEqual(updates[0], {
+    values: { historySummary: 'Customer Ann asked about prices.', summarizedThroughId: keptIds[0] - 1 },
+    options: { where: { sessionId: 's2' } }
+  });
+  assert.match(messages[1].content, /^Summary of the earlier conversation:\nCustomer Ann/);
+  assert.strictEqual(messages[messages.length - 1].content, 'Answer in English.');
+});
+
+check('leaves out summarized messages without summarizing them again', async () => {
+  reset();
+  const session = { sessionId: 's3', historySummary: 'Customer Ann asked about prices.', summarizedThroughId: 26 };
+  const { layout } = await buildChatContext({ bot, session, history: history(30), systemPrompt: 'Be helpful.' });
+  assert.deepStrictEqual(layout.parts.filter(part => part.part === 'history').map(part => part.messageId), [27, 28, 29, 30]);
+  assert.strictEqual(layout.parts.filter(part => part.part === 'summary').length, 1);
+  assert.strictEqual(summaryRequests.length, 0);
+});
+
+check('drops older history without a summary when summarizing fails', async () => {
+  reset();
+  failSummary = true;
+  const session = { sessionId: 's4' };
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const { layout } = await buildChatContext({ bot, session, history: history(30), systemPrompt: 'Be helpful.' });
+    assert.ok(layout.totalTokens <= layout.budget);
+    assert.strictEqual(layout.parts.filter(part => part.part === 'summary').length, 0);
+    assert.strictEqual(session.summarizedThroughId, undefined);
+    assert.strictEqual(updates.length, 0);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+run();
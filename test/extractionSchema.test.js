@@ -0,0 +1,70 @@
+// Checks how extracted lead values are normalised and merged into the stored variables
+const assert = require('assert');
+const { normalizeFieldValue, resolveFieldUpdate } = require('../extractionSchema');
+const { check, run } = require('./helpers');
+
+const phone = { name: 'Phone', type: 'phone' };
+const date = { name: 'Move-in date', type: 'date' };
+const listing = { name: 'Listing', type: 'enum', options: ['Sale', 'Rent'] };
+
+check('normalises phone numbers to E.164', () => {
+  assert.deepStrictEqual(normalizeFieldValue(phone, '(415) 555-2671'), { status: 'valid', value: '+14155552671', error: null });
+  // A 00 prefix is read as an international prefix
+  assert.strictEqual(normalizeFieldValue(phone, '0044 20 7946 0958').value, '+442079460958');
+});
+
+check('flags garbled phone numbers as invalid', () => {
+  assert.deepStrictEqual(normalizeFieldValue(phone, '12ab'), { status: 'invalid', value: '', error: 'Not a valid phone: 12ab' });
+});
+
+check('flags missing required values and accepts missing optional ones', () => {
+  assert.strictEqual(normalizeFieldValue({ ...phone, required: true }, '').status, 'missing');
+  assert.deepStrictEqual(normalizeFieldValue(phone, null), { status: 'valid', value: '', error: null });
+});
+
+check('keeps ISO dates and rejects impossible ones', () => {
+  assert.strictEqual(normalizeFieldValue(date, '2024-02-29').value, '2024-02-29');
+  assert.strictEqual(normalizeFieldValue(date, '2024-02-30').status, 'invalid');
+  assert.strictEqual(normalizeFieldValue(date, 'soon').status, 'invalid');
+});
+
+check('reads written dates without shifting the day', () => {
+  assert.strictEqual(normalizeFieldValue(date, 'March 5, 2025').value, '2025-03-05');
+});
+
+check('matches enum options case-insensitively and stores the option as defined', () => {
+  assert.strictEqual(normalizeFieldValue(listing, 'rent').value, 'Rent');
+  assert.strictEqual(normalizeFieldValue(listing, 'buy').status, 'invalid');
+});
+
+const storedPhone = { variableValue: '+14155552671', rawValue: '(415) 555-2671', status: 'valid', error: null };
+
+check('an invalid re-extraction keeps a stored valid value', () => {
+  const update = resolveFieldUpdate(storedPhone, normalizeFieldValue(phone, '12ab'), '12ab');
+  assert.deepStrictEqual(update, { rawValue: '12ab', error: 'Not a valid phone: 12ab' });
+});
+
+check('the same rejected value is not recorded twice', () => {
+  const current = { ...storedPhone, rawValue: '12ab', error: 'Not a valid phone: 12ab' };
+  assert.strictEqual(resolveFieldUpdate(current, normalizeFieldValue(phone, '12ab'), '12ab'), null);
+});
+
+check('a value the model no longer finds is kept', () => {
+  assert.strictEqual(resolveFieldUpdate(storedPhone, normalizeFieldValue(phone, ''), ''), null);
+});
+
+check('a new valid value replaces the stored one', () => {
+  const update = resolveFieldUpdate(storedPhone, normalizeFieldValue(phone, '+1 212 555 0123'), '+1 212 555 0123');
+  assert.deepStrictEqual(update, { variableValue: '+12125550123', rawValue: '+1 212 555 0123', status: 'valid', error: null });
+});
+
+check('an invalid value is stored when there is no valid one', () => {
+  const update = resolveFieldUpdate(undefined, normalizeFieldValue(phone, '12ab'), '12ab');
+  assert.deepStrictEqual(update, { variableValue: '', rawValue: '12ab', status: 'invalid', error: 'Not a valid phone: 12ab' });
+});
+
+check('an unchanged value is not stored again', () => {
+  assert.strictEqual(resolveFieldUpdate(storedPhone, normalizeFieldValue(phone, '(415) 555-2671'), '(415) 555-2671'), null);
+});
+
+run();
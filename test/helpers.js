@@ -0,0 +1,33 @@
+// Minimal helpers shared by the test files. Each file registers its checks and calls run();
+// a file can be run on its own with node, npm test runs all of them (see run.js).
+
+const checks = [];
+
+// Function to register a check; fn may be async and fails by throwing
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+// Function to run the registered checks in order and set a failing exit code if any fail
+async function run() {
+  let failures = 0;
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`ok - ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(`not ok - ${name}\n${error.stack || error.message}`);
+    }
+  }
+
+  if (failures) {
+    console.error(`${failures} check(s) failed`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  check,
+  run
+};
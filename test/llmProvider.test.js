@@ -0,0 +1,92 @@
+// Checks the provider layer with the fake provider, which answers without any network call
+const assert = require('assert');
+const {
+  getModelSettings,
+  validateModelSettings,
+  normalizeModelSettings,
+  completeChat,
+  streamChat,
+  embedTexts
+} = require('../llmProvider');
+const { check, run } = require('./helpers');
+
+const fake = { provider: 'fake', model: 'fake-model' };
+const messages = [
+  { role: 'system', content: 'You are a helpful assistant.' },
+  { role: 'user', content: 'Do you deliver on Sundays?' }
+];
+
+check('fills in the settings a bot leaves out, per step', () => {
+  const bot = { modelSettings: { chat: { provider: 'fake', temperature: 0.2 } } };
+  const chat = getModelSettings(bot, 'chat');
+  assert.strictEqual(chat.provider, 'fake');
+  assert.strictEqual(chat.temperature, 0.2);
+  assert.strictEqual(chat.model, getModelSettings(null, 'chat').model);
+
+  // Other steps are not affected by the chat settings
+  assert.deepStrictEqual(getModelSettings(bot, 'extraction'), getModelSettings(null, 'extraction'));
+  assert.deepStrictEqual(getModelSettings(bot, 'summary'), getModelSettings(null, 'summary'));
+});
+
+check('rejects unknown steps, providers and out-of-range values', () => {
+  assert.strictEqual(validateModelSettings({ chat: { provider: 'fake', temperature: 0.5 } }), null);
+  assert.match(validateModelSettings({ embedding: {} }), /Unknown step embedding/);
+  assert.match(validateModelSettings({ chat: { provider: 'other' } }), /chat.provider must be one of/);
+  assert.match(validateModelSettings({ extraction: { temperature: 3 } }), /temperature/);
+  assert.match(validateModelSettings({ summary: { maxTokens: 0 } }), /maxTokens/);
+  assert.match(validateModelSettings({ chat: { timeoutMs: 10 } }), /timeoutMs/);
+  assert.match(validateModelSettings([]), /must be an object/);
+});
+
+check('merges updates over the stored settings and drops unknown keys', () => {
+  const current = { chat: { provider: 'fake', model: 'a' }, extraction: { model: 'b' } };
+  const stored = normalizeModelSettings({ chat: { model: 'c', unknown: true } }, current);
+  assert.deepStrictEqual(stored, { chat: { provider: 'fake', model: 'c' }, extraction: { model: 'b' }, summary: {} });
+});
+
+check('completes a chat and a JSON request', async () => {
+  assert.strictEqual(await completeChat(fake, messages), 'Fake reply to: Do you deliver on Sundays?');
+  assert.deepStrictEqual(JSON.parse(await completeChat(fake, messages, { json: true })), {});
+});
+
+check('streams the reply in pieces that add up to the complete reply', async () => {
+  const deltas = [];
+  for await (const delta of streamChat(fake, messages)) {
+    deltas.push(delta);
+  }
+  assert.ok(deltas.length > 1);
+  assert.strictEqual(deltas.join(''), await completeChat(fake, messages));
+});
+
+check('stops streaming when the request is aborted', async () => {
+  const controller = new AbortController();
+  const deltas = [];
+  await assert.rejects(async () => {
+    for await (const delta of streamChat(fake, messages, { signal: controller.signal })) {
+      deltas.push(delta);
+      controller.abort();
+    }
+  }, /aborted/);
+  assert.deepStrictEqual(deltas, ['Fake ']);
+});
+
+check('ends the stream when the reader stops early', async () => {
+  const stream = streamChat(fake, messages);
+  for await (const delta of stream) {
+    assert.strictEqual(delta, 'Fake ');
+    break;
+  }
+  assert.deepStrictEqual(await stream.next(), { value: undefined, done: true });
+});
+
+check('embeds texts so texts sharing words are closer', async () => {
+  const [question, related, unrelated] = await embedTexts([
+    'sunday delivery',
+    'We offer delivery on Sunday mornings',
+    'Opening hours of the bakery'
+  ], fake);
+  const dot = (a, b) => a.reduce((total, value, i) => total + value * b[i], 0);
+  assert.ok(dot(question, related) > dot(question, unrelated));
+});
+
+run();
@@ -0,0 +1,84 @@
+// Checks the fixed-window rate limiter with a controlled clock
+const assert = require('assert');
+const { createRateLimiter, consumeRateLimits } = require('../rateLimiter');
+const { check, run } = require('./helpers');
+
+const realNow = Date.now;
+let now = 1000000;
+
+// Function to run a check with Date.now under the test's control
+function withClock(fn) {
+  return () => {
+    now = 1000000;
+    Date.now = () => now;
+    try {
+      return fn();
+    } finally {
+      Date.now = realNow;
+    }
+  };
+}
+
+check('allows hits up to the limit within a window', withClock(() => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+  assert.strictEqual(consumeRateLimits([{ scope: 'socket', limiter, key: 'a' }]).allowed, true);
+  assert.strictEqual(consumeRateLimits([{ scope: 'socket', limiter, key: 'a' }]).allowed, true);
+
+  now += 400;
+  assert.deepStrictEqual(consumeRateLimits([{ scope: 'socket', limiter, key: 'a' }]), {
+    allowed: false,
+    scope: 'socket',
+    retryAfterMs: 600
+  });
+  // Other keys have their own window
+  assert.strictEqual(consumeRateLimits([{ scope: 'socket', limiter, key: 'b' }]).allowed, true);
+}));
+
+check('starts a new window exactly when the old one ends', withClock(() => {
+  const limiter = createRateLimiter({ limit: 1, windowMs: 1000 });
+  limiter.hit('a');
+
+  now += 999;
+  assert.strictEqual(limiter.retryAfterMs('a'), 1);
+  now += 1;
+  assert.strictEqual(limiter.retryAfterMs('a'), 0);
+  limiter.hit('a');
+  assert.strictEqual(limiter.retryAfterMs('a'), 1000);
+}));
+
+check('a window is fixed: hits late in one window do not carry into the next', withClock(() => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+  limiter.hit('a');
+  now += 990;
+  limiter.hit('a');
+  now += 10;
+  assert.strictEqual(limiter.retryAfterMs('a'), 0);
+}));
+
+check('counts nothing when any limiter is exhausted and reports the first one', withClock(() => {
+  const socketLimiter = createRateLimiter({ limit: 5, windowMs: 1000 });
+  const ipLimiter = createRateLimiter({ limit: 1, windowMs: 1000 });
+  const globalLimiter = createRateLimiter({ limit: 1, windowMs: 2000 });
+  const checks = [
+    { scope: 'socket', limiter: socketLimiter, key: 's1' },
+    { scope: 'ip', limiter: ipLimiter, key: '10.0.0.1' },
+    { scope: 'global', limiter: globalLimiter, key: 'global' }
+  ];
+
+  assert.strictEqual(consumeRateLimits(checks).allowed, true);
+  const denied = consumeRateLimits(checks);
+  assert.strictEqual(denied.scope, 'ip');
+  assert.strictEqual(denied.retryAfterMs, 1000);
+
+  // The denied message did not use up the socket's allowance: 1 of 5 hits is counted
+  for (let i = 0; i < 3; i++) socketLimiter.hit('s1');
+  assert.strictEqual(socketLimiter.retryAfterMs('s1'), 0);
+  socketLimiter.hit('s1');
+  assert.strictEqual(socketLimiter.retryAfterMs('s1'), 1000);
+
+  // Once the IP window ends, the longer global window still denies
+  now += 1000;
+  assert.strictEqual(consumeRateLimits(checks).scope, 'global');
+}));
+
+run();
@@ -0,0 +1,67 @@
+// Checks how replies are cut to the policy's max length and how channel policies override the bot's
+const assert = require('assert');
+const {
+  RESPONSE_POLICY_DEFAULTS,
+  resolveResponsePolicy,
+  lastSentenceEnd,
+  truncateReply
+} = require('../responsePolicy');
+const { check, run } = require('./helpers');
+
+check('leaves replies within the max length as they are', () => {
+  assert.strictEqual(truncateReply('Short reply', 50), 'Short reply');
+  assert.strictEqual(truncateReply('Any length', null), 'Any length');
+});
+
+check('cuts at the last full sentence within the max length', () => {
+  assert.strictEqual(truncateReply('We open at nine. We close at five. Call us!', 36), 'We open at nine. We close at five.');
+  assert.strictEqual(truncateReply('He said "Yes." Then he left for the day.', 20), 'He said "Yes."');
+  // A sentence end exactly at the limit counts
+  assert.strictEqual(truncateReply('We open at nine. Then more', 16), 'We open at nine.');
+});
+
+check('does not take a decimal point at the limit for a sentence end', () => {
+  assert.strictEqual(truncateReply('It costs 3.5 euros. Delivery is free.', 12), 'It costs...');
+  assert.strictEqual(truncateReply('Hi. It costs 3.5 euros today.', 15), 'Hi.');
+});
+
+check('cuts at a word boundary with an ellipsis when there is no sentence end', () => {
+  const reply = truncateReply('one two three four five six', 15);
+  assert.strictEqual(reply, 'one two...');
+  assert.ok(reply.length <= 15);
+  // A single long word is cut inside the word, leaving room for the ellipsis
+  assert.strictEqual(truncateReply('abcdefghijklmnop', 10), 'abcdefg...');
+});
+
+check('counts a sentence end at the end of a streaming text only once the reply is complete', () => {
+  assert.strictEqual(lastSentenceEnd('It costs 3.', 50, { complete: false }), 0);
+  assert.strictEqual(lastSentenceEnd('It costs 3.', 50), 11);
+  assert.strictEqual(lastSentenceEnd('Hello. It costs 3.', 50, { complete: false }), 6);
+  assert.strictEqual(lastSentenceEnd('Hello. World. More', 10, { complete: false }), 6);
+});
+
+check('resolves defaults, then the bot policy, then the channel policy', () => {
+  const bot = {
+    responsePolicy: {
+      maxLength: 400,
+      fallbacks: { empty: 'Bot empty' },
+      channels: {
+        whatsapp: { maxLength: 200, allowMarkdown: true, fallbacks: { error: 'WhatsApp error' } }
+      }
+    }
+  };
+
+  const web = resolveResponsePolicy(bot, 'web');
+  assert.strictEqual(web.maxLength, 400);
+  assert.deepStrictEqual(web.fallbacks, { error: RESPONSE_POLICY_DEFAULTS.fallbacks.error, empty: 'Bot empty' });
+
+  const whatsapp = resolveResponsePolicy(bot, 'whatsapp');
+  assert.strictEqual(whatsapp.maxLength, 200);
+  assert.strictEqual(whatsapp.allowMarkdown, true);
+  assert.strictEqual(whatsapp.style, RESPONSE_POLICY_DEFAULTS.style);
+  assert.deepStrictEqual(whatsapp.fallbacks, { error: 'WhatsApp error', empty: 'Bot empty' });
+
+  assert.deepStrictEqual(resolveResponsePolicy(null), RESPONSE_POLICY_DEFAULTS);
+});
+
+run();
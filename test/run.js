@@ -0,0 +1,20 @@
+// Runs every test/*.test.js file in its own process, so module state never leaks between files
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const files = fs.readdirSync(__dirname).filter(file => file.endsWith('.test.js')).sort();
+
+let failed = 0;
+for (const file of files) {
+  console.log(`# ${file}`);
+  const result = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit' });
+  if (result.status !== 0) {
+    failed++;
+  }
+}
+
+if (failed) {
+  console.error(`${failed} of ${files.length} test file(s) failed`);
+  process.exit(1);
+}
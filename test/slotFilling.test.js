@@ -0,0 +1,77 @@
+// Checks which missing lead field the bot asks for, and when
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgres://localhost/test';
+
+const assert = require('assert');
+const {
+  validateSlotFillingSettings,
+  normalizeSlotFillingSettings,
+  pruneSlotFillingFields,
+  getSlotFields,
+  isLeadComplete,
+  planSlotAsk
+} = require('../slotFilling');
+const { check, run } = require('./helpers');
+
+const extractionFields = [
+  { name: 'Name', type: 'string', required: true },
+  { name: 'Email', type: 'email', required: true },
+  { name: 'Budget', type: 'number', required: false }
+];
+const bot = (slotFilling) => ({ extractionFields, slotFilling });
+const session = (values = {}) => ({ slotAskCount: 0, lastSlotAskTurn: null, leadCompletedAt: null, ...values });
+const valid = (value) => ({ status: 'valid', value });
+
+check('collects the required fields in order unless a priority is set', () => {
+  assert.deepStrictEqual(getSlotFields(bot({ enabled: true })).map(field => field.name), ['Name', 'Email']);
+  assert.deepStrictEqual(
+    getSlotFields(bot({ enabled: true, fields: ['Budget', 'Email'] })).map(field => field.name),
+    ['Budget', 'Email']
+  );
+});
+
+check('completes a lead once every collected field has a valid value', () => {
+  const settings = bot({ enabled: true });
+  assert.strictEqual(isLeadComplete(settings, { Name: valid('Ann') }), false);
+  assert.strictEqual(isLeadComplete(settings, { Name: valid('Ann'), Email: { status: 'invalid', value: '' } }), false);
+  assert.strictEqual(isLeadComplete(settings, { Name: valid('Ann'), Email: valid('ann@example.com') }), true);
+  // A bot collecting nothing never completes a lead
+  assert.strictEqual(isLeadComplete({ extractionFields: [], slotFilling: { enabled: true } }, {}), false);
+});
+
+check('asks for the first missing field from the first ask turn on', () => {
+  const settings = bot({ enabled: true, firstAskTurn: 2 });
+  assert.strictEqual(planSlotAsk(settings, session(), {}, 1), null);
+  assert.strictEqual(planSlotAsk(settings, session(), {}, 2).name, 'Name');
+  assert.strictEqual(planSlotAsk(settings, session(), { Name: valid('Ann') }, 2).name, 'Email');
+});
+
+check('waits turnsBetweenAsks user turns between asks', () => {
+  const settings = bot({ enabled: true, turnsBetweenAsks: 2 });
+  const asked = session({ slotAskCount: 1, lastSlotAskTurn: 2 });
+  assert.strictEqual(planSlotAsk(settings, asked, {}, 3), null);
+  assert.strictEqual(planSlotAsk(settings, asked, {}, 4), null);
+  assert.strictEqual(planSlotAsk(settings, asked, {}, 5).name, 'Name');
+});
+
+check('stops asking after maxAsks, once the lead is complete or when disabled', () => {
+  assert.strictEqual(planSlotAsk(bot({ enabled: true, maxAsks: 2 }), session({ slotAskCount: 2 }), {}, 9), null);
+  assert.strictEqual(planSlotAsk(bot({ enabled: true }), session({ leadCompletedAt: new Date() }), {}, 9), null);
+  assert.strictEqual(planSlotAsk(bot({ enabled: false }), session(), {}, 9), null);
+  const complete = { Name: valid('Ann'), Email: valid('ann@example.com') };
+  assert.strictEqual(planSlotAsk(bot({ enabled: true }), session(), complete, 9), null);
+});
+
+check('validates settings against the extraction fields', () => {
+  assert.strictEqual(validateSlotFillingSettings({ enabled: true, fields: ['Email'] }, extractionFields), null);
+  assert.match(validateSlotFillingSettings({ fields: ['Phone'] }, extractionFields), /Unknown extraction field: Phone/);
+  assert.match(validateSlotFillingSettings({ fields: ['Email', 'Email'] }, extractionFields), /must not repeat/);
+  assert.match(validateSlotFillingSettings({ maxAsks: -1 }, extractionFields), /maxAsks/);
+});
+
+check('keeps stored settings that an update leaves out and prunes removed fields', () => {
+  const stored = normalizeSlotFillingSettings({ maxAsks: 5 }, { enabled: true, fields: ['Email'] });
+  assert.deepStrictEqual(stored, { enabled: true, fields: ['Email'], maxAsks: 5, turnsBetweenAsks: 2, firstAskTurn: 2 });
+  assert.deepStrictEqual(pruneSlotFillingFields(stored, [extractionFields[0]]).fields, []);
+});
+
+run();
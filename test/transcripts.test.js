@@ -0,0 +1,28 @@
+// Checks the CSV escaping shared by transcript downloads and file export sinks
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgres://localhost/test';
+
+const assert = require('assert');
+const { escapeCsvField } = require('../transcripts');
+const { check, run } = require('./helpers');
+
+check('leaves plain values as they are', () => {
+  assert.strictEqual(escapeCsvField('Hello there'), 'Hello there');
+  assert.strictEqual(escapeCsvField(null), '');
+  assert.strictEqual(escapeCsvField(42), '42');
+});
+
+check('quotes values with commas, quotes and line breaks', () => {
+  assert.strictEqual(escapeCsvField('a, b'), '"a, b"');
+  assert.strictEqual(escapeCsvField('say "hi"'), '"say ""hi"""');
+  assert.strictEqual(escapeCsvField('line\nbreak'), '"line\nbreak"');
+});
+
+check('prefixes values that would run as formulas', () => {
+  assert.strictEqual(escapeCsvField('=HYPERLINK("http://x.test")'), '"\'=HYPERLINK(""http://x.test"")"');
+  assert.strictEqual(escapeCsvField('+14155552671'), "'+14155552671");
+  assert.strictEqual(escapeCsvField('-2+3'), "'-2+3");
+  assert.strictEqual(escapeCsvField('@SUM(A1)'), "'@SUM(A1)");
+  assert.strictEqual(escapeCsvField('\t=1'), "'\t=1");
+});
+
+run();
@@ -0,0 +1,95 @@
+const { ChatSession, Message, Bot } = require('./db-setup');
+
+// Function to format a session's details for the admin API
+function formatSessionSummary(session) {
+  return {
+    sessionId: session.sessionId,
+    status: session.status,
+    channel: session.channel,
+    startedAt: session.createdAt,
+    endedAt: session.endedAt,
+    endReason: session.endReason,
+    lastActivityAt: session.lastActivityAt,
+    messageCount: session.messageCount,
+    leadCompletedAt: session.leadCompletedAt,
+    leadExportedAt: session.leadExportedAt
+  };
+}
+
+// Function to load a bot's session with its full message history
+async function getTranscript(botId, sessionId) {
+  const session = await ChatSession.findOne({
+    where: { sessionId, botId },
+    include: [{ model: Bot, attributes: ['key', 'name'] }]
+  });
+  if (!session) return null;
+
+  const messages = await Message.findAll({
+    where: { sessionId },
+    order: [['timestamp', 'ASC']]
+  });
+
+  return {
+    session: {
+      ...formatSessionSummary(session),
+      // Active sessions have not stored their count yet
+      messageCount: session.status === 'closed' ? session.messageCount : messages.length,
+      bot: { key: session.Bot.key, name: session.Bot.name }
+    },
+    messages: messages.map(message => ({
+      id: message.id,
+      role: message.role,
+      content: message.content,
+      agentName: message.agentName,
+      timestamp: message.timestamp,
+      promptVersion: message.promptVersion
+    }))
+  };
+}
+
+// Function to escape a CSV value. Values starting like a formula (=, +, -, @, tab or carriage return)
+// get a leading ' so spreadsheet apps show them as text instead of running them.
+function escapeCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to format a transcript as CSV, one row per message
+function formatTranscriptCsv(transcript) {
+  const rows = [['timestamp', 'role', 'content']];
+  for (const message of transcript.messages) {
+    rows.push([new Date(message.timestamp).toISOString(), message.role, message.content]);
+  }
+  return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Function to format a transcript as readable plain text
+function formatTranscriptText(transcript) {
+  const { session } = transcript;
+  const lines = [
+    `Session: ${session.sessionId}`,
+    `Bot: ${session.bot.name} (${session.bot.key})`,
+    `Started: ${new Date(session.startedAt).toISOString()}`
+  ];
+  if (session.endedAt) {
+    lines.push(`Ended: ${new Date(session.endedAt).toISOString()} (${session.endReason})`);
+  }
+  lines.push(`Messages: ${session.messageCount}`, '');
+
+  for (const message of transcript.messages) {
+    const speaker = message.agentName ? `${message.role} (${message.agentName})` : message.role;
+    lines.push(`[${new Date(message.timestamp).toISOString()}] ${speaker}:`, message.content, '');
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  formatSessionSummary,
+  getTranscript,
+  escapeCsvField,
+  formatTranscriptCsv,
+  formatTranscriptText
+};
@@ -0,0 +1,141 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { WebpageSnapshot } = require('./db-setup');
+const { EXTRACTOR_VERSION, extractMainContent } = require('./contentExtractor');
+
+const WEBPAGE_REFRESH_INTERVAL = parseInt(process.env.WEBPAGE_REFRESH_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const WEBPAGE_FETCH_TIMEOUT = parseInt(process.env.WEBPAGE_FETCH_TIMEOUT_MS, 10) || 15000;
+
+// Function to turn fetched HTML into a title, description and readable main content
+function parseWebpage(html, selectors = {}) {
+  return extractMainContent(html, {
+    includeSelectors: selectors.includeSelectors || [],
+    excludeSelectors: selectors.excludeSelectors || []
+  });
+}
+
+// Function to identify the extractor version and selectors a snapshot was parsed with.
+// Cached validators are only reused while this key is unchanged.
+function getExtractionKey(selectors = {}) {
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify([selectors.includeSelectors || [], selectors.excludeSelectors || []]))
+    .digest('hex')
+    .slice(0, 16);
+  return `${EXTRACTOR_VERSION}:${hash}`;
+}
+
+// Function to format webpage content as text for the knowledge index
+function formatWebpageContent(webpageData) {
+  let text = `Title: ${webpageData.title}\n`;
+  if (webpageData.description) {
+    text += `Description: ${webpageData.description}\n`;
+  }
+  return text + webpageData.content;
+}
+
+// Function to fetch a webpage, sending the cached validators so unchanged pages return 304
+async function fetchWebpage(url, snapshot, selectors) {
+  const extractionKey = getExtractionKey(selectors);
+  const headers = {};
+  if (snapshot && snapshot.content && snapshot.extractionKey === extractionKey) {
+    if (snapshot.etag) headers['If-None-Match'] = snapshot.etag;
+    if (snapshot.lastModifiedHeader) headers['If-Modified-Since'] = snapshot.lastModifiedHeader;
+  }
+
+  const response = await axios.get(url, {
+    headers,
+    timeout: WEBPAGE_FETCH_TIMEOUT,
+    responseType: 'text',
+    validateStatus: status => (status >= 200 && status < 300) || status === 304
+  });
+
+  if (response.status === 304) {
+    return { notModified: true };
+  }
+
+  return {
+    notModified: false,
+    etag: response.headers.etag || null,
+    lastModifiedHeader: response.headers['last-modified'] || null,
+    extractionKey,
+    ...parseWebpage(response.data, selectors)
+  };
+}
+
+// Function to refresh a bot's stored snapshot of a webpage.
+// A failed fetch is recorded on the snapshot and the previous content is kept.
+async function refreshWebpageSnapshot(botId, url, selectors) {
+  const [snapshot] = await WebpageSnapshot.findOrCreate({ where: { botId, url } });
+  const now = new Date();
+
+  try {
+    const result = await fetchWebpage(url, snapshot, selectors);
+    if (!result.notModified) {
+      snapshot.title = result.title;
+      snapshot.description = result.description;
+      snapshot.content = result.content;
+      snapshot.extractionKey = result.extractionKey;
+      snapshot.etag = result.etag;
+      snapshot.lastModifiedHeader = result.lastModifiedHeader;
+    }
+    snapshot.lastFetchedAt = now;
+    snapshot.lastError = null;
+    snapshot.lastErrorAt = null;
+    await snapshot.save();
+  } catch (error) {
+    console.error(`Error fetching webpage ${url}:`, error.message);
+    snapshot.lastError = error.message;
+    snapshot.lastErrorAt = now;
+    await snapshot.save();
+    throw error;
+  }
+
+  return snapshot;
+}
+
+// Function to get a webpage snapshot, refreshing it when older than the refresh interval
+// or when it was parsed with other selectors. Returns the last good snapshot (or null)
+// if the refresh fails.
+async function getWebpageSnapshot(botId, url, selectors) {
+  const snapshot = await WebpageSnapshot.findOne({ where: { botId, url } });
+  const attemptedAt = snapshot && Math.max(
+    snapshot.lastFetchedAt ? snapshot.lastFetchedAt.getTime() : 0,
+    snapshot.lastErrorAt ? snapshot.lastErrorAt.getTime() : 0
+  );
+  const upToDate = snapshot && snapshot.extractionKey === getExtractionKey(selectors);
+  if (attemptedAt && upToDate && Date.now() - attemptedAt < WEBPAGE_REFRESH_INTERVAL) {
+    return snapshot.lastFetchedAt ? snapshot : null;
+  }
+
+  try {
+    return await refreshWebpageSnapshot(botId, url, selectors);
+  } catch (error) {
+    return snapshot && snapshot.lastFetchedAt ? snapshot : null;
+  }
+}
+
+async function removeWebpageSnapshot(botId, url) {
+  await WebpageSnapshot.destroy({ where: { botId, url } });
+}
+
+// Function to format a snapshot's status for the admin API
+function formatSnapshotStatus(url, snapshot) {
+  return {
+    url,
+    title: snapshot ? snapshot.title : null,
+    description: snapshot ? snapshot.description : null,
+    lastFetchedAt: snapshot ? snapshot.lastFetchedAt : null,
+    lastError: snapshot ? snapshot.lastError : null,
+    lastErrorAt: snapshot ? snapshot.lastErrorAt : null
+  };
+}
+
+module.exports = {
+  parseWebpage,
+  getExtractionKey,
+  refreshWebpageSnapshot,
+  getWebpageSnapshot,
+  removeWebpageSnapshot,
+  formatWebpageContent,
+  formatSnapshotStatus
+};